@@ -0,0 +1,157 @@
+import { vi, describe, it, expect, beforeAll } from 'vitest';
+import { createApp, effectScope, nextTick, ref } from 'vue';
+import { createPinia, setActivePinia } from 'pinia';
+import { addDoc, collection } from 'firebase/firestore';
+import { getDB, setUserId } from './utils/firebase';
+import {
+  piniafirePlugin, defineFirebaseStore, useFirebaseDoc, useFirebaseCollection,
+} from '..';
+
+let db;
+let firstId;
+let secondId;
+let useStore;
+
+// Resolves once the composable's read has finished
+async function settled(result) {
+  await nextTick();
+
+  while (result.pending.value) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  return result;
+}
+
+beforeAll(async() => {
+  setUserId('user');
+  db = await getDB();
+
+  const pinia = createPinia();
+  pinia.use(piniafirePlugin({ db, auth: null }));
+  createApp().use(pinia);
+  setActivePinia(pinia);
+
+  useStore = defineFirebaseStore({ id: 'test-composables', collectionName: 'testCollection' });
+
+  ({ id: firstId } = await addDoc(collection(db, 'testCollection'), { title: 'First', testValue: 10 }));
+  ({ id: secondId } = await addDoc(collection(db, 'testCollection'), { title: 'Second', testValue: 90 }));
+});
+
+describe('useFirebaseDoc', () => {
+  it('should fetch the document and fetch again when the id changes', async() => {
+    const scope = effectScope();
+    const id = ref(firstId);
+    const result = scope.run(() => useFirebaseDoc(useStore, id));
+
+    await settled(result);
+
+    expect(result.data.value.title).toBe('First');
+    expect(result.error.value).toBeNull();
+
+    id.value = secondId;
+    await settled(result);
+
+    expect(result.data.value.title).toBe('Second');
+
+    scope.stop();
+  });
+
+  it('should wait for an id', async() => {
+    const scope = effectScope();
+    const result = scope.run(() => useFirebaseDoc(useStore, () => null));
+
+    await settled(result);
+
+    expect(useStore().$getBindings().map(({ name }) => name)).not.toContain('doc');
+
+    scope.stop();
+  });
+
+  it('should stop listening once every scope is disposed', async() => {
+    const firstScope = effectScope();
+    const secondScope = effectScope();
+    await settled(firstScope.run(() => useFirebaseDoc(useStore, firstId)));
+    await settled(secondScope.run(() => useFirebaseDoc(useStore, firstId)));
+
+    firstScope.stop();
+
+    expect(useStore().$getBindings().map(({ name }) => name)).toContain('doc');
+
+    secondScope.stop();
+
+    expect(useStore().$getBindings().map(({ name }) => name)).not.toContain('doc');
+    expect(useStore().doc.title).toBe('First');
+  });
+
+  it('should keep listening while a scope still uses the fetched id', async() => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const firstScope = effectScope();
+    const secondScope = effectScope();
+    await settled(firstScope.run(() => useFirebaseDoc(useStore, firstId)));
+    await settled(secondScope.run(() => useFirebaseDoc(useStore, secondId)));
+
+    expect(warn).toBeCalled();
+
+    firstScope.stop();
+
+    expect(useStore().$getBindings().map(({ name }) => name)).toContain('doc');
+
+    secondScope.stop();
+    warn.mockRestore();
+
+    expect(useStore().$getBindings().map(({ name }) => name)).not.toContain('doc');
+  });
+
+  it('should set the error when the read is denied', async() => {
+    const useForbiddenStore = defineFirebaseStore({ id: 'test-composables-forbidden', collectionName: 'forbiddenCollection' });
+    const scope = effectScope();
+    const result = await settled(scope.run(() => useFirebaseDoc(useForbiddenStore, 'denied')));
+
+    expect(result.error.value?.code).toBe('permission-denied');
+
+    scope.stop();
+  });
+
+  it('should not count reads outside of a scope', async() => {
+    await settled(useFirebaseDoc(useStore, firstId));
+    const scope = effectScope();
+    await settled(scope.run(() => useFirebaseDoc(useStore, firstId)));
+
+    scope.stop();
+
+    expect(useStore().$getBindings().map(({ name }) => name)).not.toContain('doc');
+  });
+});
+
+describe('useFirebaseCollection', () => {
+  it('should query the collection and query again when the query changes', async() => {
+    const scope = effectScope();
+    const queryState = ref({ where: ['testValue', '>=', 50] });
+    const result = scope.run(() => useFirebaseCollection(useStore, queryState));
+
+    await settled(result);
+
+    expect(result.data.value.map(({ __id }) => __id)).toContain(secondId);
+    expect(result.data.value.map(({ __id }) => __id)).not.toContain(firstId);
+
+    queryState.value = { where: ['testValue', '<', 50] };
+    await settled(result);
+
+    expect(result.data.value.map(({ __id }) => __id)).toContain(firstId);
+
+    scope.stop();
+
+    expect(useStore().$getBindings()).toEqual([]);
+  });
+
+  it('should set the error when the query is denied', async() => {
+    const useForbiddenStore = defineFirebaseStore({ id: 'test-composables-forbidden', collectionName: 'forbiddenCollection' });
+    const scope = effectScope();
+    const result = await settled(scope.run(() => useFirebaseCollection(useForbiddenStore)));
+
+    expect(result.error.value?.code).toBe('permission-denied');
+
+    scope.stop();
+  });
+});
@@ -0,0 +1,119 @@
+import { vi, describe, it, expect, beforeAll } from 'vitest';
+import { object, number } from 'yup';
+import { createStore, getDB, setUserId } from './utils/firebase';
+
+const api = {
+  now: () => Date.now(),
+  addInspector: vi.fn(),
+  addTimelineLayer: vi.fn(),
+  addTimelineEvent: vi.fn(),
+  sendInspectorTree: vi.fn(),
+  sendInspectorState: vi.fn(),
+  on: {
+    getInspectorTree: vi.fn(),
+    getInspectorState: vi.fn(),
+  },
+};
+
+vi.mock('@vue/devtools-api', () => ({
+  setupDevtoolsPlugin: (descriptor, setup) => setup(api),
+}));
+
+let store;
+
+function getEvents(title) {
+  return api.addTimelineEvent.mock.calls
+    .map(([{ event }]) => event)
+    .filter((event) => event.title === title);
+}
+
+const storeOptions = {
+  id: 'test-devtools',
+  collectionName: 'testCollection',
+  docSchema: object({
+    testValue: number().default(50).max(100),
+  }),
+};
+
+beforeAll(async() => {
+  setUserId('user');
+  await getDB();
+
+  store = createStore(storeOptions);
+});
+
+describe('devtools', () => {
+  it('should add the inspector and timeline layer', () => {
+    expect(api.addInspector).toHaveBeenCalledWith(expect.objectContaining({ id: 'piniafire' }));
+    expect(api.addTimelineLayer).toHaveBeenCalledWith(expect.objectContaining({ id: 'piniafire' }));
+  });
+
+  it('should list the active bindings in the inspector', async() => {
+    const { id } = await store.$addDoc({ testValue: 20 });
+    await store.$fetch(id);
+
+    const [[getTree]] = api.on.getInspectorTree.mock.calls;
+    const [[getState]] = api.on.getInspectorState.mock.calls;
+    const treePayload = { inspectorId: 'piniafire', filter: '' };
+    getTree(treePayload);
+
+    const storeNode = treePayload.rootNodes.find((node) => node.label === 'test-devtools');
+    const statePayload = { inspectorId: 'piniafire', nodeId: `${storeNode.id}:doc` };
+    getState(statePayload);
+
+    expect(storeNode.children.map(({ label }) => label)).toContain('doc');
+    expect(statePayload.state.bindings[0].value).toMatchObject({
+      store: 'test-devtools',
+      type: 'document',
+      path: `testCollection/${id}`,
+      docs: 1,
+      hasPendingWrites: false,
+    });
+  });
+
+  it('should list stores with the same id in other pinia instances separately', async() => {
+    const { id } = await store.$addDoc({ testValue: 20 });
+    await store.$fetch(id);
+    await createStore(storeOptions).$fetch(id);
+
+    const [[getTree]] = api.on.getInspectorTree.mock.calls;
+    const treePayload = { inspectorId: 'piniafire', filter: 'test-devtools' };
+    getTree(treePayload);
+
+    expect(treePayload.rootNodes).toHaveLength(2);
+    expect(new Set(treePayload.rootNodes.map(({ label }) => label)).size).toBe(2);
+  });
+
+  it('should record writes in a batch once it has been committed', async() => {
+    const { id } = await store.$addDoc({ testValue: 30 });
+    const updateCount = getEvents('update').length;
+
+    await store.$batch(async(tx) => {
+      await store.$updateDoc(id, 'testValue', 60, { tx });
+
+      expect(getEvents('update')).toHaveLength(updateCount);
+    });
+
+    expect(getEvents('update').at(-1).data).toMatchObject({ id, data: { testValue: 60 } });
+  });
+
+  it('should record snapshots and writes on the timeline', async() => {
+    const { id } = await store.$addDoc({ testValue: 30 });
+    await store.$updateDoc(id, 'testValue', 40);
+    await store.$deleteDoc(id);
+
+    expect(getEvents('snapshot').length).toBeGreaterThan(0);
+    expect(getEvents('create').at(-1).data).toMatchObject({ store: 'test-devtools', id, data: { testValue: 30 } });
+    expect(getEvents('update').at(-1).data).toMatchObject({ id, data: { testValue: 40 } });
+    expect(getEvents('delete').at(-1).data).toMatchObject({ id });
+  });
+
+  it('should record validation errors', async() => {
+    store._validate({ testValue: 50 }, 'testValue', 200);
+
+    expect(getEvents('validation error').at(-1)).toMatchObject({
+      logType: 'warning',
+      data: { path: 'testValue' },
+    });
+  });
+});
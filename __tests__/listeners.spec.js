@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { addDoc, collection, doc } from 'firebase/firestore';
+import { createStore, getDB, setUserId } from './utils/firebase';
+import { getListeners } from '..';
+
+const storeOptions = { collectionName: 'testCollection' };
+
+let db;
+let docId;
+
+function getDocListener(id) {
+  return getListeners().find(({ ref }) => ref.path === `testCollection/${id}`);
+}
+
+beforeAll(async() => {
+  setUserId('user');
+  db = await getDB();
+
+  ({ id: docId } = await addDoc(collection(db, 'testCollection'), { title: 'Shared' }));
+});
+
+describe('shared listeners', () => {
+  const stores = [];
+
+  afterEach(() => {
+    stores.splice(0).forEach((store) => store.$unbindAll());
+  });
+
+  it('should share one listener between bindings of the same document', async() => {
+    stores.push(createStore({ ...storeOptions, id: 'shared-first' }), createStore({ ...storeOptions, id: 'shared-second' }));
+
+    await stores[0].$fetch(docId);
+    await stores[1].$fetch(docId);
+
+    expect(stores[1].doc.title).toBe('Shared');
+    expect(getDocListener(docId).subscribers).toBe(2);
+  });
+
+  it('should stop listening once the last binding is released', async() => {
+    stores.push(createStore({ ...storeOptions, id: 'release-first' }), createStore({ ...storeOptions, id: 'release-second' }));
+    await stores[0].$fetch(docId);
+    await stores[1].$fetch(docId);
+
+    stores[0].$unbindAll();
+
+    expect(getDocListener(docId).subscribers).toBe(1);
+
+    stores[1].$unbindAll();
+
+    expect(getDocListener(docId)).toBeUndefined();
+  });
+
+  it('should give bindings of an active query every document', async() => {
+    stores.push(createStore({ ...storeOptions, id: 'query-first' }), createStore({ ...storeOptions, id: 'query-second' }));
+
+    const firstDocs = await stores[0].$query();
+    const secondDocs = await stores[1].$query();
+
+    expect(secondDocs.map(({ __id }) => __id)).toEqual(firstDocs.map(({ __id }) => __id));
+    expect(secondDocs[docId].title).toBe('Shared');
+  });
+
+  it('should keep listening during the grace period', async() => {
+    const store = createStore({ ...storeOptions, id: 'grace' }, { listenerGracePeriod: 50 });
+    await store.$fetch(docId);
+
+    store.$unbindAll();
+
+    expect(getDocListener(docId).subscribers).toBe(0);
+
+    await store.$bind('again', doc(db, 'testCollection', docId));
+
+    expect(store.again.title).toBe('Shared');
+    expect(getDocListener(docId).subscribers).toBe(1);
+
+    store.$unbindAll();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(getDocListener(docId)).toBeUndefined();
+  });
+
+  it('should keep the grace period of the binding that started the listener', async() => {
+    stores.push(createStore({ ...storeOptions, id: 'grace-first' }, { listenerGracePeriod: 50 }), createStore({ ...storeOptions, id: 'grace-second' }));
+    await stores[0].$fetch(docId);
+    await stores[1].$fetch(docId);
+
+    stores[0].$unbindAll();
+    stores[1].$unbindAll();
+
+    expect(getDocListener(docId).subscribers).toBe(0);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(getDocListener(docId)).toBeUndefined();
+  });
+
+  it('should drop every binding of a listener that fails', async() => {
+    const ref = doc(db, 'forbiddenCollection', 'docId');
+    stores.push(createStore({ ...storeOptions, id: 'error-first' }), createStore({ ...storeOptions, id: 'error-second' }));
+
+    await Promise.allSettled(stores.map((store) => store.$bind('forbidden', ref)));
+
+    expect(getListeners().find((listener) => listener.ref.path === ref.path)).toBeUndefined();
+    stores.forEach((store) => expect(store.$getBindings()).toEqual([]));
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createPersistenceAdapter, localStorageAdapter, memoryAdapter, sessionStorageAdapter,
+} from '../lib/persistence';
+
+const adapters = {
+  localStorage: localStorageAdapter,
+  sessionStorage: sessionStorageAdapter,
+  memory: memoryAdapter,
+};
+
+Object.entries(adapters).forEach(([name, createAdapter]) => {
+  describe(`${name}Adapter`, () => {
+    let adapter;
+
+    beforeEach(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+      adapter = createAdapter();
+    });
+
+    it('should get and set values', async() => {
+      await adapter.set('todos/1', { __id: '1', title: 'First' });
+
+      expect(await adapter.get('todos/1')).toEqual({ __id: '1', title: 'First' });
+      expect(await adapter.get('todos/2')).toBe(null);
+    });
+
+    it('should remove values', async() => {
+      await adapter.set('todos/1', { __id: '1' });
+      await adapter.remove('todos/1');
+
+      expect(await adapter.get('todos/1')).toBe(null);
+    });
+
+    it('should list the values with a key prefix', async() => {
+      await adapter.set('todos/1', { __id: '1' });
+      await adapter.set('todos/2', { __id: '2' });
+      await adapter.set('notes/1', { __id: '1' });
+
+      const values = await adapter.list('todos/');
+
+      expect(values.map(({ __id }) => __id).sort()).toEqual(['1', '2']);
+    });
+  });
+});
+
+describe('createPersistenceAdapter', () => {
+  it('should create built in adapters by name', () => {
+    expect(createPersistenceAdapter('memory')).toHaveProperty('list');
+  });
+
+  it('should use custom adapters as they are', () => {
+    const adapter = memoryAdapter();
+
+    expect(createPersistenceAdapter(adapter)).toBe(adapter);
+  });
+
+  it('should not create unknown adapters', () => {
+    expect(createPersistenceAdapter('unknown')).toBe(null);
+    expect(createPersistenceAdapter()).toBe(null);
+  });
+});
+
+describe('webStorage prefix', () => {
+  it('should prefix the storage keys', () => {
+    localStorage.clear();
+    localStorageAdapter({ prefix: 'app:' }).set('todos/1', { __id: '1' });
+
+    expect(JSON.parse(localStorage.getItem('app:todos/1'))).toEqual({ __id: '1' });
+  });
+});
@@ -1,7 +1,7 @@
 import { vi, describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
 import { createApp } from 'vue';
 import { createPinia, setActivePinia, defineStore } from 'pinia';
-import { getDB, setUserId, } from './utils/firebase';
+import { getApp, getDB, setUserId, } from './utils/firebase';
 import { piniafirePlugin, defineFirebaseStore } from '..';
 
 
@@ -21,15 +21,29 @@ beforeEach(async() => {
 });
 
 describe('plugin', () => {
-  it(`should throw an error if the 'db' property is not defined`, () => {
-    const initializeWithError = () => pinia.use(piniafirePlugin());
+  it(`should log an error if the 'db' property is not defined`, () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    pinia.use(piniafirePlugin({ auth: null }));
 
-    expect(initializeWithError).toThrow();
+    const useStore = defineFirebaseStore({ id: 'storeWithoutDb' });
+
+    expect(useStore()).toBeUndefined();
+    expect(error).toBeCalledWith(expect.stringContaining('Firestore not found'));
+
+    error.mockRestore();
+  });
+
+  it('should use the store db option without a plugin db', () => {
+    pinia.use(piniafirePlugin({ auth: null }));
+
+    const useStore = defineFirebaseStore({ id: 'storeWithDb', collectionName: 'testCollection', db });
+
+    expect(useStore()._getDb()).toBe(db);
   });
 
   it('should not initialize on a regular pinia store', () => {
     const pinia = createPinia();
-    pinia.use(piniafirePlugin({ db }));
+    pinia.use(piniafirePlugin({ db, auth: null }));
 
     const useStore = defineStore({});
     const store = useStore();
@@ -38,7 +52,7 @@ describe('plugin', () => {
   });
 
   it('should initialize the store', () => {
-    pinia.use(piniafirePlugin({ db }))
+    pinia.use(piniafirePlugin({ db, auth: null }))
 
     const useStore = defineFirebaseStore({ id: 'storeId' });
     const store = useStore();
@@ -46,15 +60,90 @@ describe('plugin', () => {
     expect(store._db).not.toBe(undefined);
     expect(typeof store._globalOptions.onValidationSuccess).toBe('undefined');
     expect(typeof store._globalOptions.onValidationError).toBe('undefined');
+    expect(typeof store._globalOptions.onSyncError).toBe('undefined');
     expect(typeof store._globalOptions.appendToCreated).toBe('undefined');
     expect(typeof store._globalOptions.appendToUpdated).toBe('undefined');
   });
 
+  it('should use the plugin db for refs', async() => {
+    pinia.use(piniafirePlugin({ db, auth: null }));
+
+    const useStore = defineFirebaseStore({ id: 'storeId', collectionName: 'testCollection' });
+    const store = useStore();
+    const ref = await store._getRef('docId');
+
+    expect(store._getDb()).toBe(db);
+    expect(ref.path).toBe('testCollection/docId');
+  });
+
+  it('should use the plugin auth', () => {
+    const auth = { currentUser: { uid: 'user' }, onAuthStateChanged: vi.fn() };
+    pinia.use(piniafirePlugin({ db, auth }));
+
+    const useStore = defineFirebaseStore({ id: 'storeWithAuth', collectionName: 'testCollection', persistence: 'memory' });
+    const store = useStore();
+
+    expect(store._getAuth()).toBe(auth);
+    expect(store._getPersistence()).toBe(null);
+    expect(auth.onAuthStateChanged).toBeCalled();
+  });
+
+  it('should not use the plugin auth for stores without a path template', () => {
+    const getCurrentUser = vi.fn(() => null);
+    const auth = { get currentUser() { return getCurrentUser(); }, onAuthStateChanged: vi.fn() };
+    pinia.use(piniafirePlugin({ db, auth }));
+
+    const useStore = defineFirebaseStore({ id: 'storeWithoutTemplate', collectionName: 'testCollection' });
+    const store = useStore();
+
+    expect(store._collectionPath).toBe('testCollection');
+    expect(getCurrentUser).not.toBeCalled();
+    expect(auth.onAuthStateChanged).not.toBeCalled();
+  });
+
+  it('should not read the signed in user for path templates without {uid}', () => {
+    const getCurrentUser = vi.fn(() => null);
+    const auth = { get currentUser() { return getCurrentUser(); }, onAuthStateChanged: vi.fn() };
+    pinia.use(piniafirePlugin({ db, auth }));
+
+    const useStore = defineFirebaseStore({ id: 'storeWithParams', collectionName: 'orgs/{orgId}/projects' });
+    const store = useStore();
+    store.$setParams({ orgId: 'org' });
+
+    expect(store._collectionPath).toBe('orgs/org/projects');
+    expect(getCurrentUser).not.toBeCalled();
+  });
+
+  it('should run stores without Firebase Auth when the plugin auth is null', () => {
+    pinia.use(piniafirePlugin({ db, auth: null }));
+
+    const useStore = defineFirebaseStore({ id: 'storeWithoutAuth', collectionName: 'testCollection', persistence: 'memory' });
+    const store = useStore();
+
+    expect(store._getAuth()).toBe(null);
+    expect(store._getPersistence()).not.toBe(null);
+  });
+
+  it('should override the plugin db with the store db option', async() => {
+    const testEnv = await getApp();
+    const otherDb = testEnv.unauthenticatedContext().firestore();
+
+    pinia.use(piniafirePlugin({ db, auth: null }));
+
+    const useStore = defineFirebaseStore({ id: 'otherStoreId', collectionName: 'testCollection', db: otherDb });
+    const store = useStore();
+
+    expect(store._getDb()).toBe(otherDb);
+    expect(store._getDb()).not.toBe(db);
+  });
+
   it('should initialize the store with the globalOptions', () => {
     pinia.use(piniafirePlugin({
       db,
+      auth: null,
       onValidationSuccess: vi.fn(),
       onValidationError: vi.fn(),
+      onSyncError: vi.fn(),
       appendToCreated: vi.fn(),
       appendToUpdated: vi.fn(),
     }))
@@ -63,6 +152,7 @@ describe('plugin', () => {
     const store = useStore();
 
     expect(store._db).not.toBe(undefined);
+    expect(typeof store._globalOptions.onSyncError).toBe('function');
     expect(typeof store._globalOptions.onValidationSuccess).toBe('function');
     expect(typeof store._globalOptions.onValidationError).toBe('function');
     expect(typeof store._globalOptions.appendToCreated).toBe('function');
@@ -77,6 +167,7 @@ describe('plugin', () => {
 
     pinia.use(piniafirePlugin({
       db,
+      auth: null,
       onValidationSuccess,
       onValidationError,
       appendToCreated,
@@ -95,6 +186,23 @@ describe('plugin', () => {
     expect(store._appendToUpdated().updatedBy).toBe('user2');
   });
 
+  it('should use the global schema adapter unless the store sets its own', () => {
+    const globalAdapter = vi.fn(() => ({ getDefault: () => ({ global: true }) }));
+    const storeAdapter = vi.fn(() => ({ getDefault: () => ({ store: true }) }));
+    const docSchema = {};
+
+    pinia.use(piniafirePlugin({ db, auth: null, schemaAdapter: globalAdapter }));
+
+    const useStore = defineFirebaseStore({ id: 'storeId', docSchema });
+    const useStoreWithAdapter = defineFirebaseStore({ id: 'otherStoreId', docSchema, schemaAdapter: storeAdapter });
+
+    expect(useStore()._getSchema().getDefault()).toEqual({ global: true });
+    expect(useStoreWithAdapter()._getSchema().getDefault()).toEqual({ store: true });
+    expect(useStore().doc).toEqual({ global: true });
+    expect(useStoreWithAdapter().doc).toEqual({ store: true });
+    expect(globalAdapter).toBeCalledWith(docSchema);
+  });
+
   it('should override the global handlers with local options', () => {
     const onValidationSuccess = vi.fn();
     const onValidationError = vi.fn();
@@ -103,6 +211,7 @@ describe('plugin', () => {
 
     pinia.use(piniafirePlugin({
       db,
+      auth: null,
       onValidationSuccess: vi.fn(),
       onValidationError: vi.fn(),
       appendToCreated: vi.fn(),
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { array, number, object, string } from 'yup';
+import { z } from 'zod';
+import { createSchemaAdapter, functionsAdapter, yupAdapter, zodAdapter } from '../lib/schema';
+
+const yupSchema = object({
+  title: string().ensure(),
+  testValue: number().default(50).min(10).max(100),
+  parent: object().shape({
+    child: number().default(1)
+  }),
+  numbers: array().default([1, 2, 3]),
+});
+
+const zodSchema = z.object({
+  title: z.string().default(''),
+  testValue: z.number().min(10).max(100).default(50),
+  parent: z.object({
+    child: z.number().default(1),
+  }).default({}),
+  numbers: z.array(z.number()).default([1, 2, 3]),
+});
+
+const functionsSchema = {
+  defaults: () => ({ title: '', testValue: 50, parent: { child: 1 }, numbers: [1, 2, 3] }),
+  validators: {
+    testValue: (value) => (value >= 10 && value <= 100) || 'testValue must be between 10 and 100',
+    'parent.child': (value) => typeof value === 'number',
+  },
+};
+
+const adapters = {
+  yup: yupAdapter(yupSchema),
+  zod: zodAdapter(zodSchema),
+  functions: functionsAdapter(functionsSchema),
+};
+
+describe('schema adapters', () => {
+  Object.entries(adapters).forEach(([name, adapter]) => {
+    describe(name, () => {
+      it('should return the default document', () => {
+        expect(adapter.getDefault()).toEqual({ title: '', testValue: 50, parent: { child: 1 }, numbers: [1, 2, 3] });
+      });
+
+      it('should return null for a valid path', () => {
+        const doc = { ...adapter.getDefault(), testValue: 20 };
+
+        expect(adapter.validateAt('testValue', doc)).toBe(null);
+      });
+
+      it('should return an error message for an invalid path', () => {
+        const doc = { ...adapter.getDefault(), testValue: 999 };
+
+        expect(typeof adapter.validateAt('testValue', doc)).toBe('string');
+        expect(adapter.validateAt('title', doc)).toBe(null);
+      });
+
+      it('should return an error message for an invalid nested path', () => {
+        const doc = { ...adapter.getDefault(), parent: { child: 'invalid' } };
+
+        expect(typeof adapter.validateAt('parent.child', doc)).toBe('string');
+      });
+
+      it('should validate the whole document', () => {
+        const valid = adapter.getDefault();
+        const invalid = { ...valid, testValue: 999, parent: { child: 'invalid' } };
+
+        expect(adapter.validate(valid)).toEqual({});
+        expect(Object.keys(adapter.validate(invalid)).sort()).toEqual(['parent.child', 'testValue']);
+      });
+    });
+  });
+
+  it('should strip unknown values when casting', () => {
+    expect(adapters.yup.cast({ title: 'Title', unknown: true })).not.toHaveProperty('unknown');
+    expect(adapters.zod.cast({ title: 'Title', unknown: true })).not.toHaveProperty('unknown');
+  });
+
+  describe('createSchemaAdapter', () => {
+    it('should detect the adapter from the schema', () => {
+      expect(createSchemaAdapter(zodSchema).getDefault().testValue).toBe(50);
+      expect(createSchemaAdapter(yupSchema).getDefault().testValue).toBe(50);
+      expect(createSchemaAdapter(functionsSchema).getDefault().testValue).toBe(50);
+    });
+
+    it('should use the named or custom adapter', () => {
+      const customAdapter = () => ({ getDefault: () => ({ custom: true }) });
+
+      expect(createSchemaAdapter(zodSchema, 'zod').getDefault().testValue).toBe(50);
+      expect(createSchemaAdapter(zodSchema, customAdapter).getDefault()).toEqual({ custom: true });
+    });
+
+    it('should return null without a schema', () => {
+      expect(createSchemaAdapter(undefined)).toBe(null);
+    });
+  });
+});
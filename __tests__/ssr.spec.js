@@ -0,0 +1,62 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createApp } from 'vue';
+import { createPinia } from 'pinia';
+import { object, number, string } from 'yup';
+import { addDoc, collection } from 'firebase/firestore';
+import { getDB, setUserId } from './utils/firebase';
+import { piniafirePlugin, defineFirebaseStore, getBindings, serializeState } from '..';
+
+const storeOptions = {
+  id: 'test-ssr',
+  collectionName: 'testCollection',
+  docSchema: object({
+    title: string().ensure(),
+    testValue: number().default(50),
+  }),
+};
+
+let db;
+let pinia;
+let store;
+let id;
+
+beforeAll(async() => {
+  setUserId('user');
+  db = await getDB();
+
+  pinia = createPinia();
+  pinia.use(piniafirePlugin({ db, auth: null }));
+  createApp().use(pinia);
+
+  store = defineFirebaseStore(storeOptions)();
+  ({ id } = await addDoc(collection(db, 'testCollection'), { title: 'Server', testValue: 60 }));
+});
+
+describe('server side rendering', () => {
+  it('should fill the doc with a one-off read', async() => {
+    await store.$fetch(id);
+
+    expect(store.doc.__id).toBe(id);
+    expect(store.doc.__path).toBe(`testCollection/${id}`);
+    expect(store.doc.title).toBe('Server');
+    expect(store.isFetching).toBe(false);
+    expect(getBindings(store)).toEqual([]);
+  });
+
+  it('should fill the collection with a one-off read', async() => {
+    await store.$query();
+
+    expect(store.collection.find((item) => item.__id === id).title).toBe('Server');
+    expect(getBindings(store)).toEqual([]);
+  });
+
+  it('should serialize the state without snapshot metadata', () => {
+    const state = serializeState(pinia)['test-ssr'];
+
+    expect(state.doc.__metadata).toBeUndefined();
+    expect(state.collection.every((item) => !item.__metadata)).toBe(true);
+    expect(state._serverRendered).toEqual({ doc: id, collection: true });
+    expect(JSON.parse(JSON.stringify(state)).doc.title).toBe('Server');
+  });
+});
@@ -1,10 +1,10 @@
-import { vi, describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
-import { createApp } from 'vue';
+import { vi, describe, it, expect, beforeEach, beforeAll, afterAll, afterEach } from 'vitest';
+import { createApp, effectScope } from 'vue';
 import { createPinia, setActivePinia, defineStore } from 'pinia';
-import { array, number, object, reach, string } from 'yup';
-import { getDB, setUserId, } from './utils/firebase';
-import { piniafirePlugin, defineFirebaseStore } from '..';
-import { collection, deleteDoc, doc, getDoc, getDocs } from 'firebase/firestore';
+import { array, date, mixed, number, object, reach, string } from 'yup';
+import { createStore, getDB, setUserId, } from './utils/firebase';
+import { piniafirePlugin, defineFirebaseStore, getBindings, memoryAdapter } from '..';
+import { addDoc, collection, deleteDoc, doc, DocumentReference, getDoc, getDocs, query, Timestamp, updateDoc, where } from 'firebase/firestore';
 
 async function getSnapshotById(id) {
   const db = await getDB();
@@ -46,7 +46,8 @@ beforeAll(async() => {
 
   pinia = createPinia();
   pinia.use(piniafirePlugin({
-    db
+    db,
+    auth: null,
   }))
 
   app = createApp();
@@ -87,7 +88,7 @@ describe('firebaseStore', () => {
       const app = createApp();
       const pinia = createPinia();
       app.use(pinia);
-      pinia.use(piniafirePlugin({db}));
+      pinia.use(piniafirePlugin({ db, auth: null }));
       const useStore = defineFirebaseStore(storeOptions);
       store = useStore();
 
@@ -144,9 +145,23 @@ describe('firebaseStore', () => {
       });
 
       it('should create a document with the specified values', async() => {
-        await store.$create({ testValue: 501 });
+        await store.$create({ testValue: 51 });
 
-        expect(store.$get('testValue')).toBe(501);
+        expect(store.$get('testValue')).toBe(51);
+      });
+
+      it('should refuse to create an invalid document', async() => {
+        await expect(store.$create({ testValue: 501 })).rejects.toThrow();
+
+        expect(store.$errors).toHaveProperty('testValue');
+      });
+
+      it('should create an invalid document if validateOnWrite is false', async() => {
+        const unvalidatedStore = createStore({ ...storeOptions, id: 'test-unvalidated', validateOnWrite: false });
+
+        await unvalidatedStore.$create({ testValue: 501 });
+
+        expect(unvalidatedStore.$get('testValue')).toBe(501);
       });
 
       it('should create a document and strip values not defined in the schema', async() => {
@@ -211,6 +226,67 @@ describe('firebaseStore', () => {
       })
     });
 
+    describe('$errors', () => {
+      it('should record the error of a path that fails validation', async() => {
+        await store.$create();
+        await store.$update('testValue', 999);
+
+        expect(store.$errors.testValue).toBeTypeOf('string');
+      });
+
+      it('should clear the error when the path later validates', async() => {
+        await store.$create();
+        await store.$update('testValue', 999);
+        await store.$update('testValue', 30);
+
+        expect(store.$errors).not.toHaveProperty('testValue');
+      });
+
+      it('should validate the whole document', async() => {
+        await store.$create();
+        store.doc.testValue = 999;
+        store.doc.parent.child = 'invalid';
+
+        const errors = store.$validate();
+
+        expect(Object.keys(errors).sort()).toEqual(['parent.child', 'testValue']);
+        expect(store.$errors).toEqual(errors);
+      });
+
+      it('should refuse to sync an invalid document', async() => {
+        const newDoc = await store.$create();
+        store.doc.testValue = 999;
+
+        const synced = await store.$sync('testValue');
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(synced).toBe(false);
+        expect(snapshot.data().testValue).toBe(50);
+      });
+
+      it('should sync valid paths of a document with other invalid values', async() => {
+        const newDoc = await store.$create();
+        store.doc.testValue = 999;
+        store.doc.title = 'Valid';
+
+        const synced = await store.$sync('title');
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(synced).toBe(true);
+        expect(snapshot.data().title).toBe('Valid');
+      });
+
+      it('should restore the value if the sync of an update is refused', async() => {
+        await store.$create();
+        vi.spyOn(store, '_sync').mockResolvedValueOnce(false);
+
+        const updated = await store.$update('testValue', 20, true);
+
+        expect(updated).toBe(false);
+        expect(store.doc.testValue).toBe(50);
+      });
+    });
+
     describe('$sync', async() => {
       it('should update a single property in the database document', async() => {
         await store.$create();
@@ -255,6 +331,173 @@ describe('firebaseStore', () => {
       });
     })
 
+    describe('dirty tracking', () => {
+      it('should not be dirty after fetching', async() => {
+        const newDoc = await store.$create();
+        await store.$fetch(newDoc.__id);
+
+        expect(store.$isDirty).toBe(false);
+        expect(store.$dirtyPaths).toEqual([]);
+      });
+
+      it('should list the paths updated without syncing', async() => {
+        await store.$create();
+        await store.$update('title', 'Unsaved');
+        await store.$update('parent.child', 2);
+
+        expect(store.$isDirty).toBe(true);
+        expect(store.$dirtyPaths).toEqual(['title', 'parent.child']);
+      });
+
+      it('should revert a single path', async() => {
+        await store.$create();
+        await store.$update('title', 'Unsaved');
+        await store.$update('testValue', 20);
+        store.$revert('title');
+
+        expect(store.doc.title).toBe('');
+        expect(store.$dirtyPaths).toEqual(['testValue']);
+      });
+
+      it('should revert every dirty path', async() => {
+        await store.$create();
+        await store.$update('title', 'Unsaved');
+        await store.$update('testValue', 20);
+        store.$revert();
+
+        expect(store.doc.title).toBe('');
+        expect(store.doc.testValue).toBe(50);
+        expect(store.$isDirty).toBe(false);
+      });
+
+      it('should only sync the dirty paths when no keys are given', async() => {
+        const newDoc = await store.$create();
+        const updateSpy = vi.spyOn(store, '_updateDoc');
+
+        await store.$update('title', 'Dirty');
+        await store.$sync();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(updateSpy).toHaveBeenCalledWith(newDoc.__id, { title: 'Dirty' });
+        expect(snapshot.data().title).toBe('Dirty');
+        expect(store.$isDirty).toBe(false);
+      });
+    });
+
+    describe('history', () => {
+      let historyStore;
+
+      beforeAll(() => {
+        historyStore = createStore({ ...storeOptions, id: 'test-history', history: { limit: 10 } });
+      });
+
+      it('should undo and redo an update', async() => {
+        const newDoc = await historyStore.$create();
+
+        await historyStore.$update('title', 'First', true);
+        await historyStore.$update('title', 'Second', true);
+        await historyStore.$undo();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(historyStore.doc.title).toBe('First');
+        expect(snapshot.data().title).toBe('First');
+        expect(historyStore.$canRedo).toBe(true);
+
+        await historyStore.$redo();
+
+        expect(historyStore.doc.title).toBe('Second');
+      });
+
+      it('should undo grouped changes together', async() => {
+        await historyStore.$create();
+
+        await historyStore.$historyGroup(async() => {
+          await historyStore.$update('title', 'Grouped');
+          await historyStore.$arrayRemove('numbers', 1, false);
+        });
+        await historyStore.$undo();
+
+        expect(historyStore.doc.title).toBe('');
+        expect(historyStore.doc.numbers).toEqual([1, 2, 3, 4, 5]);
+        expect(historyStore.$canUndo).toBe(false);
+      });
+
+      it('should keep the change to undo if its values are invalid', async() => {
+        await historyStore.$create();
+        await historyStore.$update('title', 'Invalid');
+        vi.spyOn(historyStore, '_validate').mockReturnValueOnce(false);
+
+        expect(await historyStore.$undo()).toBe(false);
+        expect(historyStore.doc.title).toBe('Invalid');
+        expect(historyStore.$canUndo).toBe(true);
+      });
+
+      it('should restore the values and keep the change to undo if the sync fails', async() => {
+        await historyStore.$create();
+        await historyStore.$update('title', 'Unsynced');
+        vi.spyOn(historyStore, '$sync').mockResolvedValueOnce(false);
+
+        expect(await historyStore.$undo()).toBe(false);
+        expect(historyStore.doc.title).toBe('Unsynced');
+        expect(historyStore.$canUndo).toBe(true);
+        expect(historyStore.$canRedo).toBe(false);
+      });
+
+      it('should not record changes when history is disabled', async() => {
+        await store.$create();
+        await store.$update('title', 'No history');
+
+        expect(store.$canUndo).toBe(false);
+        expect(await store.$undo()).toBe(false);
+      });
+    });
+
+    describe('converter', () => {
+      const dateSchema = object({
+        title: string().ensure(),
+        publishedAt: date().nullable().default(null),
+      });
+
+      it('should write Dates as Timestamps and read them back as Dates', async() => {
+        const dateStore = createStore({ id: 'test-dates', collectionName: 'testCollection', docSchema: dateSchema });
+        const publishedAt = new Date('2024-01-01T00:00:00Z');
+        const newDoc = await dateStore.$create({ publishedAt });
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        await dateStore.$fetch(newDoc.__id);
+
+        expect(snapshot.data().publishedAt).toBeInstanceOf(Timestamp);
+        expect(dateStore.doc.publishedAt).toBeInstanceOf(Date);
+        expect(dateStore.doc.publishedAt.getTime()).toBe(publishedAt.getTime());
+      });
+
+      it('should use a custom converter', async() => {
+        const converterStore = createStore({
+          id: 'test-converter',
+          collectionName: 'testCollection',
+          converter: {
+            from: (data) => ({ ...data, title: data.title.toLowerCase() }),
+            to: (data) => ({ ...data, ...(data.title && { title: data.title.toUpperCase() }) }),
+          },
+        });
+
+        const newDoc = await converterStore.$create({ title: 'Converted' });
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(snapshot.data().title).toBe('CONVERTED');
+        expect(converterStore.doc.title).toBe('converted');
+      });
+
+      it('should not convert when the converter is null', async() => {
+        const rawStore = createStore({ id: 'test-raw', collectionName: 'testCollection', converter: null });
+        const newDoc = await rawStore.$create({ publishedAt: new Date() });
+
+        expect(rawStore.doc.publishedAt).toBeInstanceOf(Timestamp);
+      });
+    });
+
     describe('$arrayUpdate', async() => {
       it('should return false if the callback does not return an array', async() => {
         const updated = await store.$arrayUpdate('numbers', (arr) => true);
@@ -367,92 +610,1189 @@ describe('firebaseStore', () => {
       });
     });
 
-    describe.only('localStorageFallback', () => {
-      it('should create a document reference in localstorage', async() => {
-        const doc = await storeWithLocalStorage.$create({ testValue: 100 });
+    describe('subcollections', () => {
+      let parentStore;
+
+      beforeAll(() => {
+        parentStore = createStore({
+          ...storeOptions,
+          id: 'test-parent',
+          subcollections: {
+            comments: {
+              collectionName: 'comments',
+              docSchema: object({ text: string().ensure() }),
+              query: { orderBy: 'text' },
+            },
+          },
+        });
+      });
 
-        expect(storeWithLocalStorage.testValue).toBe(100);
-        expect(doc.testValue).toBe(100);
-        expect(JSON.parse(localStorage.getItem('test')).testValue).toBe(100)
+      it('should bind the subcollections of a created document', async() => {
+        const newDoc = await parentStore.$create();
+        await parentStore.comments.$addDoc({ text: 'First' });
+        await parentStore.comments.$addDoc({ text: 'Second' });
+
+        expect(parentStore.comments._collectionPath).toBe(`testCollection/${newDoc.__id}/comments`);
+        expect(parentStore.comments.collection.map(({ text }) => text)).toEqual(['First', 'Second']);
       });
 
-      it('should fetch a document reference from localstorage', async() => {
-        await storeWithLocalStorage.$create({ testValue: 100 });
+      it('should rebind the subcollections when another document is fetched', async() => {
+        const { id } = await store.$addDoc();
 
-        const doc = await storeWithLocalStorage.$fetch();
+        await parentStore.$fetch(id);
 
-        expect(storeWithLocalStorage.testValue).toBe(100);
-        expect(doc.testValue).toBe(100);
-        expect(JSON.parse(localStorage.getItem('test')).testValue).toBe(100)
+        expect(parentStore.comments._collectionPath).toBe(`testCollection/${id}/comments`);
+        expect(parentStore.comments.collection).toHaveLength(0);
       });
 
-      it ('should update a document in localStorage', async() => {
-        await storeWithLocalStorage.$create({ testValue: 100 });
+      it('should unbind the subcollections with the document', async() => {
+        await parentStore.$create();
+        await parentStore.comments.$addDoc({ text: 'Comment' });
+        await parentStore._unbind();
 
-        const doc = await storeWithLocalStorage.$fetch();
+        expect(parentStore.comments.collection).toHaveLength(0);
+      });
 
-        await storeWithLocalStorage.$update('testValue', 99, true);
+      it('should not be shadowed by a document field of the same name', async() => {
+        await parentStore.$create();
+        parentStore.doc.comments = 'Field';
 
-        expect(storeWithLocalStorage.testValue).toBe(99);
-        expect(doc.testValue).toBe(99);
-        expect(JSON.parse(localStorage.getItem('test')).testValue).toBe(99)
+        expect(parentStore.comments._collectionPath).toBe(`testCollection/${parentStore.doc.__id}/comments`);
+      });
+
+      it('should use the subcollection stores of the parent store\'s pinia', async() => {
+        const otherPinia = createPinia();
+        otherPinia.use(piniafirePlugin({ db, auth: null }));
+        createApp().use(otherPinia);
+        setActivePinia(parentStore._pinia);
+
+        const useOtherParentStore = defineFirebaseStore({ ...storeOptions, id: 'test-parent', subcollections: { comments: { collectionName: 'comments' } } });
+        const otherParentStore = useOtherParentStore(otherPinia);
+        const parentPath = parentStore.comments._collectionPath;
+        const newDoc = await otherParentStore.$create();
+
+        expect(otherParentStore._pinia).toBe(otherPinia);
+        expect(otherParentStore.comments._pinia).toBe(otherPinia);
+        expect(otherParentStore.comments._collectionPath).toBe(`testCollection/${newDoc.__id}/comments`);
+        expect(parentStore.comments._collectionPath).toBe(parentPath);
       });
     });
 
-  });
+    describe('hydration', () => {
+      let hydratedStore;
+      let id;
 
-  describe('collection', () => {
+      beforeEach(async() => {
+        hydratedStore = createStore({ ...storeOptions, id: 'test-hydrated' });
+        ({ id } = await store.$addDoc({ title: 'Rendered', testValue: 60 }));
+      });
 
-    describe('$query', () => {
-      it('should fetch a collection of documents', async() => {
-        const docs = await store.$query();
+      it('should attach a listener to a server rendered doc without refetching', async() => {
+        hydratedStore.$patch({
+          doc: { __id: id, __path: `testCollection/${id}`, title: 'Rendered', testValue: 60 },
+          _serverRendered: { doc: id, collection: false },
+        });
 
-        expect(docs).toBeInstanceOf(Array);
-        expect(docs[0]).toHaveProperty('numbers');
-      })
+        const docData = await hydratedStore.$fetch(id);
+
+        expect(docData.title).toBe('Rendered');
+        expect(hydratedStore.isFetching).toBe(false);
+        expect(hydratedStore.$getBindings().map(({ name }) => name)).toContain('doc');
+      });
+
+      it('should attach a listener to a server rendered collection', async() => {
+        hydratedStore.$patch({
+          query: { where: ['title', '==', 'Rendered'] },
+          collection: [{ __id: 'deleted', title: 'Rendered' }, { __id: id, title: 'Rendered' }],
+          _serverRendered: { doc: null, collection: true },
+        });
+
+        const docs = await hydratedStore.$query();
+
+        expect(docs.map((item) => item.__id)).toContain(id);
+        expect(docs.map((item) => item.__id)).not.toContain('deleted');
+        expect(hydratedStore.$getBindings().map(({ name }) => name)).toContain('page:0');
+      });
     });
 
-    describe('$addDoc', async() => {
-      it('should add a document to the collection', async() => {
-        const { id, data, ref } = await store.$addDoc({ numbers: [0, 10, 20] });
+    describe('resolveRefs', () => {
+      let refStore;
+      let authorId;
+
+      beforeAll(async() => {
+        refStore = createStore({
+          ...storeOptions,
+          id: 'test-refs',
+          docSchema: object({ title: string().ensure(), author: mixed() }),
+          resolveRefs: { depth: 1, fields: ['author'] },
+        });
+        ({ id: authorId } = await store.$addDoc({ title: 'Author' }));
+      });
 
-        expect(typeof id).toBe('string');
-        expect(ref.id).toBe(id);
-        expect(data.numbers).toEqual([0, 10, 20]);
-      })
+      it('should inline referenced documents', async() => {
+        refStore.doc = { title: 'Post', author: doc(db, 'testCollection', authorId) };
+        await refStore.$create();
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(refStore.doc.author.__id).toBe(authorId);
+        expect(refStore.doc.author.__path).toBe(`testCollection/${authorId}`);
+        expect(refStore.doc.author.title).toBe('Author');
+      });
+
+      it('should keep referenced documents up to date', async() => {
+        await updateDoc(doc(db, 'testCollection', authorId), { title: 'Renamed' });
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(refStore.doc.author.title).toBe('Renamed');
+      });
+
+      it('should write resolved references back as references', async() => {
+        refStore.doc.title = 'Edited';
+        await refStore.$sync(['title']);
+        const snapshot = await getSnapshotById(refStore.doc.__id);
+
+        expect(snapshot.data().title).toBe('Edited');
+        expect(snapshot.data().author).toBeInstanceOf(DocumentReference);
+        expect(refStore.$dirtyPaths).toEqual([]);
+      });
+
+      it('should give each store its own copies of referenced documents', async() => {
+        const otherRefStore = createStore({
+          ...storeOptions,
+          id: 'test-refs',
+          docSchema: object({ title: string().ensure(), author: mixed() }),
+          resolveRefs: { depth: 1, fields: ['author'] },
+          converter: { from: (data) => ({ ...data, converted: true }) },
+        });
+
+        await otherRefStore.$fetch(refStore.doc.__id);
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(otherRefStore.doc.author).not.toBe(refStore.doc.author);
+        expect(otherRefStore.doc.author.converted).toBe(true);
+        expect(refStore.doc.author.converted).toBeUndefined();
+      });
     });
 
-    describe('$deleteDoc', async() => {
-      it('should delete a document from the collection', async() => {
-        const { id, data, ref } = await store.$addDoc();
+    describe('sync errors', () => {
+      const onSyncError = vi.fn();
+      let forbiddenStore;
+
+      beforeAll(() => {
+        // The test rules only allow writes to testCollection
+        forbiddenStore = createStore({
+          ...storeOptions,
+          id: 'test-forbidden',
+          collectionName: 'forbiddenCollection',
+          onSyncError,
+        });
+      });
 
-        await store.$deleteDoc(id);
-        const collectionItem = store.collection.find(item => item.__id === id);
-        const snapshot = await getSnapshotById(id);
+      it('should roll back a created document if the write fails', async() => {
+        forbiddenStore.doc = { title: 'Existing', testValue: 40 };
 
-        expect(collectionItem).toBe(undefined);
+        await expect(forbiddenStore.$create({ title: 'New' })).rejects.toThrow();
+
+        expect(forbiddenStore.doc.title).toBe('Existing');
+        expect(onSyncError).toBeCalledWith('test-forbidden', expect.any(Error), expect.objectContaining({ action: 'create' }));
+      });
+
+      it('should roll back a synced update if the write fails', async() => {
+        forbiddenStore.doc = { __id: 'docId', title: '', testValue: 40, numbers: [1, 2] };
+
+        await expect(forbiddenStore.$update('testValue', 60, true)).rejects.toThrow();
+        await expect(forbiddenStore.$arrayUnion('numbers', 3)).rejects.toThrow();
+
+        expect(forbiddenStore.doc.testValue).toBe(40);
+        expect(forbiddenStore.doc.numbers).toEqual([1, 2]);
+        expect(onSyncError).toBeCalledWith('test-forbidden', expect.any(Error), expect.objectContaining({ action: 'update', id: 'docId' }));
+      });
+
+      it('should roll back a collection document update if the write fails', async() => {
+        forbiddenStore.collection = [{ __id: 'docId', testValue: 40 }];
+
+        await expect(forbiddenStore.$updateDoc('docId', 'testValue', 60)).rejects.toThrow();
+
+        expect(forbiddenStore.$getDoc('docId').testValue).toBe(40);
+      });
+
+      it('should restore a deleted collection document if the delete fails', async() => {
+        forbiddenStore.collection = [{ __id: 'docA' }, { __id: 'docB' }];
+
+        await expect(forbiddenStore.$deleteDoc('docA')).rejects.toThrow();
+
+        expect(forbiddenStore.collection.map(item => item.__id)).toEqual(['docA', 'docB']);
+        expect(onSyncError).toBeCalledWith('test-forbidden', expect.any(Error), expect.objectContaining({ action: 'delete', id: 'docA' }));
+      });
+    });
+
+    describe('$batch', () => {
+      it('should commit writes from several stores together', async() => {
+        const useOtherStore = defineFirebaseStore({ ...storeOptions, id: 'test-batch' });
+        const otherStore = useOtherStore();
+        const newDoc = await store.$create();
+        let created;
+
+        await store.$batch(async(tx) => {
+          await store.$update('testValue', 33, true, { tx });
+          created = await otherStore.$addDoc({ title: 'Batched' }, null, { tx });
+
+          // local state is only updated once the batch is committed
+          expect(store.doc.testValue).toBe(50);
+        });
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+        const createdSnapshot = await getSnapshotById(created.id);
+
+        expect(store.doc.testValue).toBe(33);
+        expect(snapshot.data().testValue).toBe(33);
+        expect(createdSnapshot.data().title).toBe('Batched');
+      });
+
+      it('should not add writes made without the batch', async() => {
+        const newDoc = await store.$create();
+        const ref = doc(db, 'forbiddenCollection', 'docId');
+
+        await expect(store.$batch(async(batch) => {
+          await store.$update('testValue', 44, true);
+          batch.set(ref, { forbidden: true });
+        })).rejects.toThrow();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(snapshot.data().testValue).toBe(44);
+      });
+
+      it('should commit independent batches separately', async() => {
+        const newDoc = await store.$create();
+        const ref = doc(db, 'forbiddenCollection', 'docId');
+
+        await expect(store.$batch(async(outer) => {
+          await store.$batch((inner) => store.$update('testValue', 33, true, { tx: inner }));
+          outer.set(ref, { forbidden: true });
+        })).rejects.toThrow();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(store.doc.testValue).toBe(33);
+        expect(snapshot.data().testValue).toBe(33);
+      });
+
+      it('should only delete the document once the batch is committed', async() => {
+        const newDoc = await store.$create({ title: 'Deleted' });
+
+        await store.$batch(async(tx) => {
+          await store.$delete({ tx });
+
+          expect(store.doc.title).toBe('Deleted');
+        });
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(store.doc.title).toBe('');
         expect(snapshot.exists()).toBe(false);
-      })
+      });
+
+      it('should throw if the tx option is not a batch or transaction of the store', async() => {
+        await store.$create();
+
+        await expect(store.$update('testValue', 33, true, { tx: {} })).rejects.toThrow('tx must be');
+      });
+
+      it('should not write anything if the batch fails', async() => {
+        const newDoc = await store.$create();
+        const ref = doc(db, 'forbiddenCollection', 'docId');
+
+        await expect(store.$batch(async(batch) => {
+          await store.$update('testValue', 44, true, { tx: batch });
+          batch.set(ref, { forbidden: true });
+        })).rejects.toThrow();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(store.doc.testValue).toBe(50);
+        expect(snapshot.data().testValue).toBe(50);
+      });
     });
 
-    describe('$getDoc', async() => {
-      it('should retrieve a document from the collection by its id', async() => {
-        const docs = await store.$query();
-        const doc = docs[3];
+    describe('$transaction', () => {
+      it('should write using the values read in the transaction', async() => {
+        const newDoc = await store.$create({ testValue: 20 });
+        const ref = doc(db, 'testCollection', newDoc.__id);
 
-        const retrieved = store.$getDoc(doc.__id);
+        await store.$transaction(async(transaction) => {
+          const snapshot = await transaction.get(ref);
+          await store.$update('testValue', snapshot.data().testValue + 1, true, { tx: transaction });
+        });
 
-        expect(retrieved).toBe(doc);
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(store.doc.testValue).toBe(21);
+        expect(snapshot.data().testValue).toBe(21);
       });
     });
 
-    describe('$updateDoc', async() => {
-      it('should update a document in the collection', async() => {
+    describe('autoSync', () => {
+      let autoSyncStore;
 
+      beforeAll(() => {
+        autoSyncStore = createStore({ ...storeOptions, id: 'test-autosync', autoSync: { debounce: 100 } });
       });
 
-      it('should not update if schema validation fails', async() => {
+      it('should write all the changes made in the debounce window in a single update', async() => {
+        const newDoc = await autoSyncStore.$create();
+        const updateSpy = vi.spyOn(autoSyncStore, '_updateDoc');
+
+        autoSyncStore.title = 'Auto';
+        autoSyncStore.doc.parent.child = 5;
+        await autoSyncStore.$arrayUnion('numbers', 6, false);
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+        const data = snapshot.data();
+
+        expect(updateSpy).toHaveBeenCalledTimes(1);
+        expect(data.title).toBe('Auto');
+        expect(data.parent.child).toBe(5);
+        expect(data.numbers).toEqual([1, 2, 3, 4, 5, 6]);
+      });
+
+      it('should not write values that fail validation', async() => {
+        const newDoc = await autoSyncStore.$create();
+
+        autoSyncStore.testValue = 999;
+        await autoSyncStore.$flush();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(snapshot.data().testValue).toBe(50);
+      });
+
+      it('should write pending changes when flushed', async() => {
+        const newDoc = await autoSyncStore.$create();
+
+        autoSyncStore.title = 'Flushed';
+        const flushed = await autoSyncStore.$flush();
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(flushed).toBe(true);
+        expect(snapshot.data().title).toBe('Flushed');
+      });
+
+      it('should write pending changes and stop syncing when the document is unbound', async() => {
+        const newDoc = await autoSyncStore.$create();
+
+        autoSyncStore.title = 'Unbound';
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        await autoSyncStore._unbindDoc();
+
+        autoSyncStore.doc.testValue = 10;
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(snapshot.data().title).toBe('Unbound');
+        expect(snapshot.data().testValue).toBe(50);
+      });
+
+      it('should keep syncing after the scope that created the store is stopped', async() => {
+        const scope = effectScope();
+        const scopedStore = scope.run(() => createStore({ ...storeOptions, id: 'test-autosync-scope', autoSync: { debounce: 10 } }));
+
+        scope.stop();
+
+        const newDoc = await scopedStore.$create();
+
+        scopedStore.title = 'Scoped';
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        const snapshot = await getSnapshotById(newDoc.__id);
+
+        expect(snapshot.data().title).toBe('Scoped');
+      });
+
+      it('should report failed writes to the onSyncError handler', async() => {
+        const onSyncError = vi.fn();
+        const failingStore = createStore({
+          ...storeOptions, id: 'test-autosync-error', autoSync: { debounce: 10 }, onSyncError,
+        });
+
+        await failingStore.$create();
+        vi.spyOn(failingStore, '_updateDoc').mockRejectedValue(new Error('Write failed'));
+
+        failingStore.title = 'Failed';
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        expect(onSyncError).toBeCalledWith('test-autosync-error', expect.any(Error), expect.objectContaining({ action: 'autoSync' }));
+      });
+    });
+
+    describe('localStorageFallback', () => {
+      it('should create a document reference in localstorage', async() => {
+        const doc = await storeWithLocalStorage.$create({ testValue: 100 });
+
+        expect(storeWithLocalStorage.testValue).toBe(100);
+        expect(doc.testValue).toBe(100);
+        expect(JSON.parse(localStorage.getItem('test')).testValue).toBe(100)
+      });
+
+      it('should fetch a document reference from localstorage', async() => {
+        await storeWithLocalStorage.$create({ testValue: 100 });
+
+        const doc = await storeWithLocalStorage.$fetch();
+
+        expect(storeWithLocalStorage.testValue).toBe(100);
+        expect(doc.testValue).toBe(100);
+        expect(JSON.parse(localStorage.getItem('test')).testValue).toBe(100)
+      });
+
+      it ('should update a document in localStorage', async() => {
+        await storeWithLocalStorage.$create({ testValue: 100 });
+
+        const doc = await storeWithLocalStorage.$fetch();
+
+        await storeWithLocalStorage.$update('testValue', 99, true);
+
+        expect(storeWithLocalStorage.testValue).toBe(99);
+        expect(doc.testValue).toBe(99);
+        expect(JSON.parse(localStorage.getItem('test')).testValue).toBe(99)
+      });
+    });
+
+  });
+
+  describe('collection', () => {
+
+    describe('$query', () => {
+      it('should fetch a collection of documents', async() => {
+        const docs = await store.$query();
+
+        expect(docs).toBeInstanceOf(Array);
+        expect(docs[0]).toHaveProperty('numbers');
+      })
+    });
+
+    describe('$addDoc', async() => {
+      it('should add a document to the collection', async() => {
+        const { id, data, ref } = await store.$addDoc({ numbers: [0, 10, 20] });
+
+        expect(typeof id).toBe('string');
+        expect(ref.id).toBe(id);
+        expect(data.numbers).toEqual([0, 10, 20]);
+      })
+    });
+
+    describe('$deleteDoc', async() => {
+      it('should delete a document from the collection', async() => {
+        const { id, data, ref } = await store.$addDoc();
+
+        await store.$deleteDoc(id);
+        const collectionItem = store.collection.find(item => item.__id === id);
+        const snapshot = await getSnapshotById(id);
+
+        expect(collectionItem).toBe(undefined);
+        expect(snapshot.exists()).toBe(false);
+      })
+    });
+
+    describe('$getDoc', async() => {
+      it('should retrieve a document from the collection by its id', async() => {
+        const docs = await store.$query();
+        const doc = docs[3];
+
+        const retrieved = store.$getDoc(doc.__id);
+
+        expect(retrieved).toBe(doc);
+      });
+    });
+
+    describe('$updateDoc', async() => {
+      it('should update a document in the collection', async() => {
+
+      });
+
+      it('should not update if schema validation fails', async() => {
+        const { id } = await store.$addDoc({ testValue: 60 });
+        await store.$query();
+
+        const updated = await store.$updateDoc(id, 'testValue', 999);
+        const snapshot = await getSnapshotById(id);
+
+        expect(updated).toBe(false);
+        expect(store.$getDoc(id).testValue).toBe(60);
+        expect(snapshot.data().testValue).toBe(60);
+
+        store.$resetPagination();
+      });
+    });
+
+    describe('_getQueryArgs', () => {
+      afterAll(() => {
+        store.query = {};
+      });
+
+      it('should build constraints from multiple where clauses and orderBy fields', () => {
+        store.query = {
+          where: [['testValue', '>', 10], ['title', '==', '']],
+          orderBy: ['testValue', { field: 'title', dir: 'desc' }],
+          limitToLast: 5,
+        };
+
+        const types = store._getQueryArgs().map(({ type }) => type);
+
+        expect(types).toEqual(['where', 'where', 'orderBy', 'orderBy', 'limitToLast']);
+      });
+
+      it('should combine composite filters into a single filter', () => {
+        store.query = {
+          where: [{ or: [['testValue', '==', 10], ['testValue', '==', 20]] }, ['title', '==', '']],
+          orderBy: 'testValue',
+          startAt: 10,
+          endBefore: 30,
+        };
+
+        const types = store._getQueryArgs().map(({ type }) => type);
+
+        expect(types).toEqual(['and', 'orderBy', 'startAt', 'endBefore']);
+      });
+    });
+
+    describe('query', () => {
+      afterAll(() => {
+        store.$resetPagination();
+        store.query = {};
+      });
+
+      it('should re-bind the collection when the query changes', async() => {
+        await store.$addDoc({ testValue: 77 });
+        await store.$query();
+
+        store.query = { where: ['testValue', '==', 77] };
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(store.collection.length).toBeGreaterThan(0);
+        store.collection.forEach((item) => expect(item.testValue).toBe(77));
+      });
+
+      it('should keep re-binding after the scope that called $query is stopped', async() => {
+        const scope = effectScope();
+
+        await scope.run(() => store.$query());
+        scope.stop();
+
+        store.query = { where: ['testValue', '==', 77] };
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(store.collection.length).toBeGreaterThan(0);
+        store.collection.forEach((item) => expect(item.testValue).toBe(77));
+        store.query = {};
+      });
+
+      it('should not re-bind the collection after it has been unbound', async() => {
+        await store.$query();
+        store.$unbindAll();
+
+        store.query = { where: ['testValue', '==', 78] };
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        expect(store.$getBindings()).toEqual([]);
+      });
+
+      it('should keep the listeners of stores with the same id in other pinia instances', async() => {
+        const otherStore = createStore(storeOptions);
+
+        await store.$query();
+        await otherStore.$query();
+        otherStore.$unbindAll();
+
+        expect(store.$getBindings().map(({ name }) => name)).toContain('page:0');
+        expect(otherStore.$getBindings()).toEqual([]);
+      });
+    });
+
+    describe('pagination', () => {
+      beforeEach(async() => {
+        await Promise.all([1, 2, 3, 4].map(() => store.$addDoc()));
+        store.query = { limit: 2 };
+      });
+
+      afterAll(() => {
+        store.$resetPagination();
+        store.query = {};
+      });
+
+      it('should only bind the first page of a query', async() => {
+        const docs = await store.$query();
+
+        expect(docs).toHaveLength(2);
+        expect(store.$hasMore).toBe(true);
+      });
+
+      it('should append the next page and keep the indexes consistent', async() => {
+        await store.$query();
+        const firstPageIds = store.collection.map(item => item.__id);
+        const docs = await store.$loadMore();
+
+        expect(docs).toHaveLength(4);
+        expect(docs.slice(0, 2).map(item => item.__id)).toEqual(firstPageIds);
+        docs.forEach((item, i) => expect(item.__index).toBe(i));
+      });
+
+      it('should keep the pages consistent when a document leaves an earlier page', async() => {
+        await store.$query();
+        await store.$loadMore();
+        const [firstId, , , fourthId] = store.collection.map(item => item.__id);
+
+        await deleteDoc(doc(db, 'testCollection', firstId));
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        await updateDoc(doc(db, 'testCollection', fourthId), { title: 'Modified' });
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        const ids = store.collection.map(item => item.__id);
+
+        expect(ids).not.toContain(firstId);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(store.collection[fourthId].title).toBe('Modified');
+        store.collection.forEach((item, i) => expect(item.__index).toBe(i));
+      });
+
+      it('should report when there are no more pages', async() => {
+        store.query = { limit: 1000 };
+        await store.$query();
+
+        expect(store.$hasMore).toBe(false);
+      });
+
+      it('should reset the pagination', async() => {
+        await store.$query();
+        await store.$loadMore();
+        store.$resetPagination();
+
+        expect(store.collection).toHaveLength(0);
+        expect(store.$hasMore).toBe(false);
+      });
+
+      it('should keep the pages of stores with the same id in other pinia instances', async() => {
+        const otherStore = createStore(storeOptions);
+        otherStore.query = { limit: 2 };
+        await otherStore.$query();
+        await store.$query();
+
+        store.$resetPagination();
+
+        expect(otherStore.collection).toHaveLength(2);
+        expect(otherStore.$hasMore).toBe(true);
+
+        otherStore.$resetPagination();
+      });
+    });
+
+    describe('persistence', () => {
+      let persistedStore;
+      let adapter;
+
+      beforeEach(() => {
+        adapter = memoryAdapter();
+        persistedStore = createStore({ ...storeOptions, id: 'test-persisted', persistence: adapter });
+      });
+
+      it('should add documents to the adapter and the collection', async() => {
+        const { id } = await persistedStore.$addDoc({ title: 'Offline' });
+
+        expect(adapter.get(`testCollection/${id}`).title).toBe('Offline');
+        expect(persistedStore.$getDoc(id).title).toBe('Offline');
+      });
+
+      it('should query the documents in the adapter', async() => {
+        await persistedStore.$addDoc({ title: 'First' });
+        await persistedStore.$addDoc({ title: 'Second' });
+
+        const docs = await persistedStore.$query();
+
+        expect(docs.map(({ title }) => title).sort()).toEqual(['First', 'Second']);
+        docs.forEach((item, i) => expect(item.__index).toBe(i));
+      });
+
+      it('should update and delete documents in the adapter', async() => {
+        const { id } = await persistedStore.$addDoc({ title: 'Offline' });
+
+        await persistedStore.$updateDoc(id, 'title', 'Edited');
+        expect(adapter.get(`testCollection/${id}`).title).toBe('Edited');
+
+        await persistedStore.$deleteDoc(id);
+        expect(adapter.get(`testCollection/${id}`)).toBe(null);
+        expect(persistedStore.$getDoc(id)).toBeUndefined();
+      });
+
+      it('should create, fetch and update docs in the adapter', async() => {
+        const created = await persistedStore.$create({ testValue: 70 });
+        await persistedStore.$update('testValue', 80, true);
+
+        persistedStore.$reset();
+        const fetched = await persistedStore.$fetch(created.__id);
+
+        expect(fetched.__id).toBe(created.__id);
+        expect(fetched.testValue).toBe(80);
+      });
+    });
+
+    describe('guest data migration', () => {
+      let adapter;
+      let auth;
+
+      function createGuestStore(options = {}) {
+        return createStore({ ...storeOptions, id: 'test-guest', persistence: adapter, auth, ...options });
+      }
+
+      async function signIn(guestStore) {
+        auth.currentUser = { uid: 'user' };
+        return guestStore._onAuthChanged(auth.currentUser);
+      }
+
+      beforeEach(() => {
+        adapter = memoryAdapter();
+        auth = { currentUser: null, onAuthStateChanged: vi.fn() };
+      });
+
+      it('should listen to auth changes', () => {
+        createGuestStore();
+
+        expect(auth.onAuthStateChanged).toBeCalled();
+      });
+
+      it('should move guest documents to Firestore on sign in', async() => {
+        const guestStore = createGuestStore();
+        const { id } = await guestStore.$addDoc({ title: 'Guest', testValue: 30 });
+
+        await signIn(guestStore);
+        const snapshot = await getSnapshotById(id);
+
+        expect(snapshot.data().title).toBe('Guest');
+        expect(adapter.get(`testCollection/${id}`)).toBe(null);
+        expect(guestStore.$getDoc(id).title).toBe('Guest');
+      });
+
+      it('should merge guest documents into existing documents', async() => {
+        const { id } = await store.$addDoc({ title: 'Remote', testValue: 20 });
+        adapter.set(`testCollection/${id}`, { __id: id, __path: `testCollection/${id}`, testValue: 30 });
+
+        await signIn(createGuestStore());
+        const snapshot = await getSnapshotById(id);
+
+        expect(snapshot.data()).toMatchObject({ title: 'Remote', testValue: 30 });
+      });
+
+      it('should overwrite existing documents', async() => {
+        const { id } = await store.$addDoc({ title: 'Remote', testValue: 20 });
+        adapter.set(`testCollection/${id}`, { __id: id, __path: `testCollection/${id}`, testValue: 30 });
+
+        await signIn(createGuestStore({ onSignInMigrate: 'overwrite' }));
+        const snapshot = await getSnapshotById(id);
+
+        expect(snapshot.data()).toMatchObject({ title: '', testValue: 30 });
+      });
+
+      it('should migrate with a custom function', async() => {
+        const onSignInMigrate = vi.fn();
+        adapter.set('testCollection/local', { __id: 'local', __path: 'testCollection/local', title: 'Guest' });
+
+        await signIn(createGuestStore({ onSignInMigrate }));
+
+        expect(onSignInMigrate).toBeCalledWith(expect.objectContaining({ title: 'Guest' }), expect.anything());
+        expect(adapter.get('testCollection/local')).toBe(null);
+      });
+
+      it('should keep the guest documents when migration is disabled', async() => {
+        adapter.set('testCollection/local', { __id: 'local', __path: 'testCollection/local', title: 'Guest' });
+
+        await signIn(createGuestStore({ onSignInMigrate: false }));
+
+        expect(adapter.get('testCollection/local').title).toBe('Guest');
+      });
+
+      it('should clear the store on sign out', async() => {
+        const guestStore = createGuestStore();
+        await signIn(guestStore);
+        const { id } = await store.$addDoc({ title: 'Signed in' });
+        await guestStore.$fetch(id);
+
+        auth.currentUser = null;
+        await guestStore._onAuthChanged(null);
+
+        expect(guestStore.doc.title).toBe('');
+        expect(guestStore.$getBindings()).toEqual([]);
+      });
+    });
+
+    describe('auth aware stores', () => {
+      let auth;
+      let initialize;
+
+      function createUserStore() {
+        return createStore({
+          ...storeOptions,
+          id: 'test-user',
+          collectionName: 'testCollection/{uid}/settings',
+          auth,
+          initialize,
+        });
+      }
+
+      async function setUser(userStore, uid) {
+        auth.currentUser = uid ? { uid } : null;
+        return userStore._onAuthChanged(auth.currentUser);
+      }
+
+      beforeEach(() => {
+        auth = { currentUser: null, onAuthStateChanged: vi.fn() };
+        initialize = vi.fn();
+      });
+
+      it('should fill in {uid} from the signed in user', () => {
+        auth.currentUser = { uid: 'user' };
+        const userStore = createUserStore();
+
+        expect(userStore._collectionPath).toBe('testCollection/user/settings');
+        expect(auth.onAuthStateChanged).toBeCalled();
+      });
+
+      it('should bind once a user has signed in', async() => {
+        const userStore = createUserStore();
+
+        await userStore.$query();
+        expect(userStore.$getBindings()).toEqual([]);
+
+        await setUser(userStore, 'user');
+
+        expect(userStore._collectionPath).toBe('testCollection/user/settings');
+        expect(userStore.$getBindings().map(({ name }) => name)).toContain('page:0');
+      });
+
+      it('should unbind and reset on sign out', async() => {
+        const userStore = createUserStore();
+        await setUser(userStore, 'user');
+        await userStore.$addDoc({ title: 'Setting' });
+        await userStore.$query();
+
+        await setUser(userStore, null);
+
+        expect(userStore._collectionPath).toBe(null);
+        expect(userStore.collection).toHaveLength(0);
+        expect(userStore.$getBindings()).toEqual([]);
+      });
+
+      it('should initialize and rebind for the next user', async() => {
+        const userStore = createUserStore();
+        await setUser(userStore, 'user');
+        await userStore.$query();
+        initialize.mockClear();
+
+        await setUser(userStore, 'other');
+
+        expect(initialize).toBeCalledTimes(1);
+        expect(userStore._collectionPath).toBe('testCollection/other/settings');
+        expect(userStore.$getBindings().map(({ name }) => name)).toContain('page:0');
+      });
+    });
+
+    describe('path params', () => {
+      let taskStore;
+
+      beforeEach(() => {
+        taskStore = createStore({ ...storeOptions, id: 'test-tasks', collectionName: 'testCollection/{projectId}/tasks' });
+      });
+
+      it('should build the collection path from the params', async() => {
+        expect(taskStore._collectionPath).toBe(null);
+
+        await taskStore.$setParams({ projectId: 'first' });
+
+        expect(taskStore._collectionPath).toBe('testCollection/first/tasks');
+      });
+
+      it('should refuse invalid params', async() => {
+        expect(await taskStore.$setParams({ projectId: 'a/b' })).toBe(false);
+        expect(await taskStore.$setParams({ projectId: '' })).toBe(false);
+        expect(taskStore._collectionPath).toBe(null);
+      });
+
+      it('should run the query once the params are set', async() => {
+        await taskStore.$query();
+        expect(taskStore.$getBindings()).toEqual([]);
+
+        await taskStore.$setParams({ projectId: 'first' });
+
+        expect(taskStore.$getBindings().map(({ name }) => name)).toContain('page:0');
+      });
+
+      it('should rebind the query and document on the new path', async() => {
+        await taskStore.$setParams({ projectId: 'first' });
+        await taskStore.$addDoc({ title: 'First task' });
+        const { id } = await taskStore.$addDoc({ title: 'Shared id' });
+        await taskStore.$query();
+        await taskStore.$fetch(id);
+
+        await taskStore.$setParams({ projectId: 'second' });
+
+        expect(taskStore._collectionPath).toBe('testCollection/second/tasks');
+        expect(taskStore.collection).toHaveLength(0);
+        expect(taskStore.$getBindings().find(({ name }) => name === 'doc').path).toBe(`testCollection/second/tasks/${id}`);
+      });
+    });
+
+    describe('collection groups', () => {
+      let groupStore;
+      let firstParentStore;
+      let secondParentStore;
+
+      beforeAll(async() => {
+        const { id: firstId } = await store.$addDoc();
+        const { id: secondId } = await store.$addDoc();
+        const itemsOptions = { ...storeOptions, collectionName: 'testCollection/{parentId}/groupItems' };
+
+        firstParentStore = createStore({ ...itemsOptions, id: 'test-group-first' });
+        secondParentStore = createStore({ ...itemsOptions, id: 'test-group-second' });
+        await firstParentStore.$setParams({ parentId: firstId });
+        await secondParentStore.$setParams({ parentId: secondId });
+        await firstParentStore.$addDoc({ id: 'shared', title: 'First' });
+        await secondParentStore.$addDoc({ id: 'shared', title: 'Second' });
+
+        groupStore = createStore({ ...storeOptions, id: 'test-group', collectionName: 'groupItems', collectionGroup: true });
+      });
+
+      it('should query every collection with the same id', async() => {
+        const docs = await groupStore.$query();
+
+        expect(docs.map(({ title }) => title).sort()).toEqual(['First', 'Second']);
+        expect(docs.map(({ __path }) => __path)).toContain(`${firstParentStore._collectionPath}/shared`);
+      });
+
+      it('should query a collection group with the group option', async() => {
+        const docs = await createStore({ ...storeOptions, id: 'test-group-option', collectionName: 'groupItems' })
+          .$query({ group: true });
+
+        expect(docs).toHaveLength(2);
+      });
+
+      it('should write to the document\'s own path', async() => {
+        await groupStore.$query();
+        const path = `${secondParentStore._collectionPath}/shared`;
+
+        await groupStore.$updateDoc(path, 'title', 'Edited');
+        const snapshot = await getDoc(doc(db, path));
+
+        expect(snapshot.data().title).toBe('Edited');
+        expect(groupStore.$getDoc(path).title).toBe('Edited');
+
+        await groupStore.$deleteDoc(path);
+
+        expect((await getDoc(doc(db, path))).exists()).toBe(false);
+      });
+    });
+
+    describe('aggregations', () => {
+      let aggregateStore;
+
+      beforeEach(() => {
+        aggregateStore = createStore({ ...storeOptions, id: 'test-aggregate' });
+        aggregateStore.query = { where: ['title', '==', 'Aggregated'] };
+      });
+
+      beforeAll(async() => {
+        await store.$addDoc({ title: 'Aggregated', testValue: 20 });
+        await store.$addDoc({ title: 'Aggregated', testValue: 40 });
+      });
+
+      it('should count the documents matching the query', async() => {
+        const total = await aggregateStore.$count();
+
+        expect(total).toBe(2);
+        expect(aggregateStore.$aggregations.count).toBe(2);
+      });
+
+      it('should sum and average a field', async() => {
+        expect(await aggregateStore.$sum('testValue')).toBe(60);
+        expect(await aggregateStore.$average('testValue')).toBe(30);
+        expect(aggregateStore.$aggregations.sum.testValue).toBe(60);
+        expect(aggregateStore.$aggregations.average.testValue).toBe(30);
+      });
+
+      it('should refresh live aggregations when the bound collection changes', async() => {
+        await aggregateStore.$count({ live: true });
+        await aggregateStore.$query();
+
+        const { id } = await store.$addDoc({ title: 'Aggregated', testValue: 60 });
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(aggregateStore.$aggregations.count).toBe(3);
+
+        await store.$deleteDoc(id);
+      });
+
+      it('should stop refreshing live aggregations once the store is unbound', async() => {
+        await aggregateStore.$count({ live: true });
+        await aggregateStore.$query();
+        aggregateStore.$unbindAll();
+        const aggregateSpy = vi.spyOn(aggregateStore, '_aggregate');
+
+        await aggregateStore.$query();
+        const { id } = await store.$addDoc({ title: 'Aggregated', testValue: 60 });
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        expect(aggregateSpy).not.toHaveBeenCalled();
+
+        await store.$deleteDoc(id);
+      });
+
+      it('should aggregate persisted documents', async() => {
+        const persistedStore = createStore({ ...storeOptions, id: 'test-aggregate-persisted', persistence: memoryAdapter() });
+        await persistedStore.$addDoc({ testValue: 10 });
+        await persistedStore.$addDoc({ testValue: 30 });
+
+        expect(await persistedStore.$count()).toBe(2);
+        expect(await persistedStore.$sum('testValue')).toBe(40);
+        expect(await persistedStore.$average('testValue')).toBe(20);
+      });
+    });
+
+    describe('one-shot reads', () => {
+      let onceStore;
+
+      beforeEach(() => {
+        onceStore = createStore({ ...storeOptions, id: 'test-once', mode: 'once' });
+      });
+
+      it('should read the document without listening to it', async() => {
+        const { id } = await store.$addDoc({ title: 'Once' });
+
+        const docData = await onceStore.$fetch(id);
+
+        expect(docData.title).toBe('Once');
+        expect(docData.__id).toBe(id);
+        expect(docData.__path).toBe(`testCollection/${id}`);
+        expect(docData.__metadata).toBeDefined();
+        expect(onceStore.$getBindings()).toEqual([]);
+
+        await updateDoc(doc(db, 'testCollection', id), { title: 'Changed' });
+
+        expect(onceStore.doc.title).toBe('Once');
+      });
+
+      it('should read the collection without listening to it', async() => {
+        const docs = await onceStore.$query();
+
+        expect(docs.length).toBeGreaterThan(0);
+        docs.forEach((item, index) => {
+          expect(item.__index).toBe(index);
+          expect(item.__path).toBe(`testCollection/${item.__id}`);
+        });
+        expect(onceStore.$getBindings()).toEqual([]);
+      });
+
+      it('should override the store mode per call', async() => {
+        const { id } = await store.$addDoc({ title: 'Realtime' });
+
+        await onceStore.$fetch(id, { mode: 'realtime' });
+        await store.$fetch(id, { mode: 'once' });
+
+        expect(onceStore.$getBindings().map(({ name }) => name)).toEqual(['doc']);
+        expect(store.$getBindings().map(({ name }) => name)).not.toContain('doc');
+
+        onceStore.$unbindAll();
+      });
+
+      it('should read the subcollections of a document read once without listening to them', async() => {
+        const parentStore = createStore({ ...storeOptions, id: 'test-once-parent', subcollections: { comments: { collectionName: 'comments' } } });
+        const { id } = await store.$addDoc();
+        await addDoc(collection(db, 'testCollection', id, 'comments'), { text: 'Once' });
+
+        await parentStore.$fetch(id, { mode: 'once' });
+
+        expect(parentStore.comments.collection.map(({ text }) => text)).toEqual(['Once']);
+        expect(parentStore.comments.$getBindings()).toEqual([]);
+      });
+
+      it('should read the document and collection again on refresh', async() => {
+        const { id } = await store.$addDoc({ title: 'Before' });
+        const { id: deletedId } = await store.$addDoc({ title: 'Deleted' });
+        await onceStore.$fetch(id);
+        await onceStore.$query();
+
+        await updateDoc(doc(db, 'testCollection', id), { title: 'After' });
+        await deleteDoc(doc(db, 'testCollection', deletedId));
+        await onceStore.$refresh();
+
+        expect(onceStore.doc.title).toBe('After');
+        expect(onceStore.$getDoc(id).title).toBe('After');
+        expect(onceStore.$getDoc(deletedId)).toBeUndefined();
+        expect(onceStore.$getBindings()).toEqual([]);
+      });
+
+      it('should keep the loaded pages if a refresh fails', async() => {
+        await Promise.all([1, 2].map(() => store.$addDoc()));
+        onceStore.query = { limit: 1 };
+        await onceStore.$query();
+        vi.spyOn(onceStore, '_getQueryArgs').mockImplementationOnce(() => {
+          throw new Error('Invalid query');
+        });
+
+        await expect(onceStore.$refresh()).rejects.toThrow('Invalid query');
+        await onceStore.$loadMore();
+
+        expect(onceStore.isFetching).toBe(false);
+        expect(onceStore.collection).toHaveLength(2);
+      });
+    });
+
+    describe('named bindings', () => {
+      afterEach(() => {
+        store.$unbind('high');
+        store.$unbind('low');
+        store.$unbind('single');
+      });
+
+      it('should bind several queries into their own state keys', async() => {
+        await store.$addDoc({ testValue: 90 });
+        await store.$addDoc({ testValue: 20 });
+        const collectionRef = collection(db, 'testCollection');
+
+        await store.$bind('high', query(collectionRef, where('testValue', '>=', 90)));
+        await store.$bind('low', query(collectionRef, where('testValue', '<=', 20)));
+
+        expect(store.high.length).toBeGreaterThan(0);
+        store.high.forEach((item) => expect(item.testValue).toBeGreaterThanOrEqual(90));
+        store.low.forEach((item) => expect(item.testValue).toBeLessThanOrEqual(20));
+      });
+
+      it('should bind documents', async() => {
+        const { id } = await store.$addDoc({ title: 'Single' });
+
+        await store.$bind('single', doc(db, 'testCollection', id));
+
+        expect(store.single.__id).toBe(id);
+        expect(store.single.title).toBe('Single');
+      });
+
+      it('should list and stop the active listeners', async() => {
+        const collectionRef = collection(db, 'testCollection');
+        await store.$bind('high', query(collectionRef, where('testValue', '>=', 90)));
+        await store.$bind('low', query(collectionRef, where('testValue', '<=', 20)));
+
+        expect(store.$getBindings().map(({ name }) => name)).toEqual(expect.arrayContaining(['high', 'low']));
+
+        store.$unbind('high');
+
+        expect(store.$getBindings().map(({ name }) => name)).not.toContain('high');
+        expect(getBindings().find(({ storeId, name }) => storeId === store.$id && name === 'low').type).toBe('query');
+      });
+
+      it('should stop every listener of a store', async() => {
+        await store.$bind('low', query(collection(db, 'testCollection'), where('testValue', '<=', 20)));
+
+        store.$unbindAll();
 
+        expect(store.$getBindings()).toEqual([]);
       });
     });
 
@@ -1,6 +1,9 @@
 import fs from 'fs';
 import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
 import { doc, getDoc } from 'firebase/firestore';
+import { createApp } from 'vue';
+import { createPinia } from 'pinia';
+import { piniafirePlugin, defineFirebaseStore } from '../..';
 
 export const testUser = {
     uid: 'userid',
@@ -51,6 +54,16 @@ export async function getDB() {
     return db;
 }
 
+// Create a store on a pinia instance of its own with the plugin installed, like a store of a separate app
+// or server request. The db must have been set up with getDB first
+export function createStore(options, pluginOptions = {}) {
+    const pinia = createPinia();
+    pinia.use(piniafirePlugin({ db, auth: null, ...pluginOptions }));
+    createApp().use(pinia);
+
+    return defineFirebaseStore(options)();
+}
+
 export function getCtx() {
     return ctx;
 }
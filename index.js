@@ -1,10 +1,36 @@
-import { bind, unbind } from './lib/piniafire.js'
+import {
+  bind, unbind, unbindAll, getBindings,
+} from './lib/piniafire.js'
+import { getListeners } from './lib/listeners.js';
 import defineFirebaseStore from './lib/store.js';
 import piniafirePlugin from './lib/plugin.js';
+import {
+  yupAdapter, zodAdapter, functionsAdapter, schemaAdapters,
+} from './lib/schema.js';
+import { serializeState } from './lib/ssr.js';
+import { useFirebaseDoc, useFirebaseCollection } from './lib/composables.js';
+import {
+  localStorageAdapter, sessionStorageAdapter, indexedDBAdapter, memoryAdapter, persistenceAdapters,
+} from './lib/persistence.js';
 
 export {
   bind,
   unbind,
+  unbindAll,
+  getBindings,
+  getListeners,
   defineFirebaseStore,
   piniafirePlugin,
+  yupAdapter,
+  zodAdapter,
+  functionsAdapter,
+  schemaAdapters,
+  serializeState,
+  useFirebaseDoc,
+  useFirebaseCollection,
+  localStorageAdapter,
+  sessionStorageAdapter,
+  indexedDBAdapter,
+  memoryAdapter,
+  persistenceAdapters,
 }
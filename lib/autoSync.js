@@ -0,0 +1,147 @@
+import { effectScope, watch } from 'vue';
+import {
+  cloneDeep, debounce, get, set,
+} from 'lodash-es';
+import { getChangedPaths } from '../utils/diff';
+
+/**
+ * Add a value to an update patch without creating conflicting paths, e.g. `parent` and `parent.child`
+ * @param { Object } patch
+ * @param { String } path
+ * @param { * } value
+ */
+function addToPatch(patch, path, value) {
+  const ancestor = Object.keys(patch).find((key) => path.startsWith(`${key}.`));
+
+  if (ancestor) {
+    set(patch[ancestor], path.slice(ancestor.length + 1), value);
+    return;
+  }
+
+  Object.keys(patch)
+    .filter((key) => key.startsWith(`${path}.`))
+    .forEach((key) => delete patch[key]);
+
+  patch[path] = value;
+}
+
+/**
+ * Watch the doc of a store and write local changes to the database, coalescing all the changes
+ * made within the debounce window into a single update
+ * @param store
+ * @param { Object } [options]
+ * @param { Number } [options.debounce] - milliseconds to wait after the last change before writing
+ * @return {{ collect: Function, flush: Function, reset: Function, stop: Function }}
+ */
+export default function createAutoSync(store, { debounce: wait = 500 } = {}) {
+  // The document as it was when changes were last collected
+  let baseline = cloneDeep(store.doc);
+  let pending = null;
+
+  function reset() {
+    baseline = cloneDeep(store.doc);
+  }
+
+  function collect() {
+    const { doc } = store;
+
+    // A different document has been loaded so its values are not local changes
+    if (doc.__id !== baseline.__id) {
+      reset();
+      return;
+    }
+
+    const paths = getChangedPaths(baseline, doc);
+
+    reset();
+
+    // Documents that haven't been created yet have nothing to update
+    if (!doc.__id) return;
+
+    const validPaths = paths.filter((path) => store._validate(doc, path, get(doc, path)));
+
+    if (!validPaths.length) return;
+
+    if (!pending) {
+      pending = { id: doc.__id, patch: {} };
+    }
+
+    validPaths.forEach((path) => addToPatch(pending.patch, path, cloneDeep(get(doc, path))));
+
+    debouncedFlush();
+  }
+
+  function takePending() {
+    const changes = pending;
+
+    pending = null;
+    debouncedFlush.cancel();
+
+    return changes;
+  }
+
+  async function flush() {
+    collect();
+
+    const changes = takePending();
+
+    if (!changes) return false;
+
+    return store._updateDoc(changes.id, changes.patch);
+  }
+
+  /**
+   * Write changes that no caller is waiting for, reporting failures through the store's onSyncError handler
+   * @param {{ id: String, patch: Object }} changes
+   * @return { Boolean } whether the changes were written
+   */
+  async function write({ id, patch }) {
+    try {
+      return await store._updateDoc(id, patch);
+    } catch(e) {
+      store._onSyncError(e, { action: 'autoSync', id, data: patch });
+      return false;
+    }
+  }
+
+  const debouncedFlush = debounce(() => {
+    collect();
+
+    const changes = takePending();
+
+    if (changes) write(changes);
+  }, wait);
+
+  // Detached so the watcher outlives the component that happened to create the store
+  const scope = effectScope(true);
+
+  scope.run(() => {
+    watch(() => store.doc, (doc) => {
+      // Send the pending changes of the previous document before switching
+      if (pending && pending.id !== doc.__id) {
+        write(takePending());
+      }
+
+      collect();
+    }, { deep: true });
+  });
+
+  /**
+   * Stop watching the doc, writing the changes already collected
+   * @return { Boolean } whether there were changes to write
+   */
+  async function stop() {
+    scope.stop();
+
+    const changes = takePending();
+
+    return changes ? write(changes) : false;
+  }
+
+  return {
+    collect,
+    flush,
+    reset,
+    stop,
+  };
+}
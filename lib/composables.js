@@ -0,0 +1,148 @@
+import {
+  computed, getCurrentScope, markRaw, onScopeDispose, ref, unref, watch,
+} from 'vue';
+import { cloneDeep, isFunction } from 'lodash-es';
+import logger from '../utils/logger';
+
+
+function getValue(source) {
+  return isFunction(source) ? source() : unref(source);
+}
+
+// The composables using a store's document or collection, and the id or query the store last read for them
+function getReads(store, type) {
+  if (!store._composableReads) {
+    store._composableReads = markRaw({
+      doc: { consumers: new Set(), key: null },
+      collection: { consumers: new Set(), key: null },
+    });
+  }
+
+  return store._composableReads[type];
+}
+
+/**
+ * Run the store's read whenever the source changes, tracking its progress, and release the store's listener
+ * once every composable reading the same id or query has been disposed. Composables used outside of a component
+ * or effect scope never release it
+ * @param store
+ * @param { String } type - 'doc' or 'collection'
+ * @param { * } source - a ref, getter or plain value
+ * @param { Function } read - called with the source's value and a callback for read and listener errors
+ * @param { Function } release - stops the store's listener
+ * @param { Object } [watchOptions]
+ * @return {{ pending: Ref<Boolean>, error: Ref<Error | null> }}
+ */
+function useRead(store, type, source, read, release, watchOptions = {}) {
+  const pending = ref(false);
+  const error = ref(null);
+  const consumer = { key: null };
+  const storeReads = getReads(store, type);
+  const hasScope = Boolean(getCurrentScope());
+  let isDisposed = false;
+  let readCount = 0;
+
+  // The store is only read by the last composable, so the others are left with the wrong data
+  function warnOnConflict() {
+    const hasConflict = [...storeReads.consumers].some(({ key }) => key !== null && key !== consumer.key);
+
+    if (hasConflict) {
+      logger.warn(`${store.$id} is used by composables with different ${type === 'doc' ? 'ids' : 'queries'}, `
+        + 'use a store for each of them');
+    }
+  }
+
+  // Whether a composable still needs the data the store last read
+  function isInUse() {
+    return [...storeReads.consumers].some(({ key }) => key === storeReads.key);
+  }
+
+  if (hasScope) storeReads.consumers.add(consumer);
+
+  watch(() => getValue(source), async(value) => {
+    readCount += 1;
+    const readId = readCount;
+
+    consumer.key = (value === null || value === undefined) ? null : JSON.stringify(value);
+    // Documents aren't read until there is an id
+    if (consumer.key !== null || type === 'collection') storeReads.key = consumer.key;
+    if (hasScope) warnOnConflict();
+
+    pending.value = true;
+    error.value = null;
+
+    try {
+      await read(value, (e) => {
+        if (readId === readCount) error.value = e;
+      });
+    } catch(e) {
+      if (readId === readCount) error.value = e;
+    } finally {
+      if (readId === readCount) pending.value = false;
+    }
+
+    // Disposed while reading, so the listener attached after the release
+    if (isDisposed && !isInUse()) release();
+  }, { ...watchOptions, immediate: true });
+
+  if (hasScope) {
+    onScopeDispose(() => {
+      isDisposed = true;
+      storeReads.consumers.delete(consumer);
+
+      if (!isInUse()) release();
+    });
+  }
+
+  return { pending, error };
+}
+
+/**
+ * Fetch a document of a piniafire store, fetching again whenever the id changes. The store stops listening to
+ * the document once every component using it has been unmounted. The store only holds one document, so components
+ * showing different documents at the same time need a store each
+ * @param { Function } useStore - defined with defineFirebaseStore
+ * @param { String | Ref<String> | Function } id - fetching waits until the id is set
+ * @param { Object } [options] - passed to $fetch, e.g. { mode: 'once' }
+ * @return {{ data: Ref<Object>, pending: Ref<Boolean>, error: Ref<Error | null> }}
+ */
+export function useFirebaseDoc(useStore, id, options = {}) {
+  const store = useStore();
+
+  const { pending, error } = useRead(store, 'doc', id, async(docId, onError) => {
+    if (docId) await store.$fetch(docId, { ...options, onError });
+  }, () => store._unbindDoc());
+
+  return {
+    data: computed(() => store.doc),
+    pending,
+    error,
+  };
+}
+
+/**
+ * Query the collection of a piniafire store, querying again whenever the query changes. The store stops listening
+ * to the collection once every component using it has been unmounted. The store only holds one query, so components
+ * showing different queries at the same time need a store each
+ * @param { Function } useStore - defined with defineFirebaseStore
+ * @param { Object | Ref<Object> | Function } [queryState] - replaces the store's query state, see _getQueryArgs
+ * @param { Object } [options] - passed to $query, e.g. { mode: 'once', group: true }
+ * @return {{ data: Ref<Array>, pending: Ref<Boolean>, error: Ref<Error | null> }}
+ */
+export function useFirebaseCollection(useStore, queryState, options = {}) {
+  const store = useStore();
+
+  const { pending, error } = useRead(store, 'collection', queryState, async(value, onError) => {
+    if (value) {
+      store.query = cloneDeep(value);
+    }
+
+    await store.$query({ ...options, onError });
+  }, () => store._unbindPages(), { deep: true });
+
+  return {
+    data: computed(() => store.collection),
+    pending,
+    error,
+  };
+}
@@ -0,0 +1,69 @@
+import { Timestamp } from 'firebase/firestore';
+import { isArray, isPlainObject, mapValues } from 'lodash-es';
+
+/**
+ * Map every value of the data, recursing into arrays and plain objects the function leaves unchanged
+ * @param { * } value
+ * @param { Function } fn
+ * @return { * }
+ */
+export function mapDeep(value, fn) {
+  const mapped = fn(value);
+
+  if (mapped !== value) return mapped;
+  if (isArray(value)) return value.map((item) => mapDeep(item, fn));
+  if (isPlainObject(value)) return mapValues(value, (item) => mapDeep(item, fn));
+
+  return value;
+}
+
+/**
+ * Convert every Firestore Timestamp in the data to a Date
+ * @param { Object } data
+ * @return { Object }
+ */
+export function timestampsToDates(data) {
+  return mapDeep(data, (value) => ((value instanceof Timestamp) ? value.toDate() : value));
+}
+
+/**
+ * Convert every Date in the data to a Firestore Timestamp
+ * @param { Object } data
+ * @return { Object }
+ */
+export function datesToTimestamps(data) {
+  return mapDeep(data, (value) => ((value instanceof Date) ? Timestamp.fromDate(value) : value));
+}
+
+export const defaultConverter = {
+  fromFirestore: (snapshot, options) => timestampsToDates(snapshot.data(options)),
+  toFirestore: datesToTimestamps,
+};
+
+/**
+ * Normalise the converter store option into read and write functions. The option can be a
+ * FirestoreDataConverter, an object of { from, to } functions that receive plain document data,
+ * or null to store the data as it is. The default converts Timestamps to Dates and back
+ * @param { Object | null } [converter]
+ * @return {{ read: Function, write: Function }}
+ */
+export function createConverter(converter = defaultConverter) {
+  if (!converter) {
+    return {
+      read: (snapshot) => snapshot.data(),
+      write: (data) => data,
+    };
+  }
+
+  if (converter.fromFirestore || converter.toFirestore) {
+    return {
+      read: (snapshot) => (converter.fromFirestore ? converter.fromFirestore(snapshot, {}) : snapshot.data()),
+      write: (data) => (converter.toFirestore ? converter.toFirestore(data) : data),
+    };
+  }
+
+  return {
+    read: (snapshot) => (converter.from ? converter.from(snapshot.data()) : snapshot.data()),
+    write: (data) => (converter.to ? converter.to(data) : data),
+  };
+}
@@ -0,0 +1,183 @@
+import { setupDevtoolsPlugin } from '@vue/devtools-api';
+import { cloneDeep, countBy } from 'lodash-es';
+import { getBindings } from './piniafire.js';
+import { getListener } from './listeners.js';
+
+const INSPECTOR_ID = 'piniafire';
+const TIMELINE_LAYER_ID = 'piniafire';
+
+// Devtools APIs of the apps using piniafire
+const apis = [];
+const setupApps = new WeakSet();
+let nodeCount = 0;
+
+// Inspector node id of a store instance, as stores of other pinia instances share ids
+function getNodeId(store) {
+  if (!store._devtoolsNodeId) {
+    nodeCount += 1;
+    store._devtoolsNodeId = `${store.$id}#${nodeCount}`;
+  }
+
+  return store._devtoolsNodeId;
+}
+
+function getStoreBindings() {
+  return getBindings().map((binding) => ({ ...binding, nodeId: getNodeId(binding.store) }));
+}
+
+function getDocCount(type, snapshot) {
+  if (!snapshot) return null;
+
+  if (type === 'document') return snapshot.exists() ? 1 : 0;
+
+  return snapshot.size;
+}
+
+function getInspectorTree(filter) {
+  const bindings = getStoreBindings();
+  const stores = [...new Map(bindings.map((binding) => [binding.nodeId, binding.storeId]))];
+  const instanceCounts = countBy(stores, ([, storeId]) => storeId);
+
+  return stores
+    .map(([nodeId, storeId]) => ({
+      nodeId,
+      storeId,
+      bindings: bindings.filter((binding) => binding.nodeId === nodeId),
+    }))
+    .filter(({ storeId, bindings: storeBindings }) => (
+      !filter || storeId.includes(filter) || storeBindings.some(({ name }) => name.includes(filter))
+    ))
+    .map(({ nodeId, storeId, bindings: storeBindings }) => ({
+      id: nodeId,
+      // Stores with the same id in other pinia instances, e.g. other apps, are told apart by their node id
+      label: (instanceCounts[storeId] > 1) ? nodeId : storeId,
+      children: storeBindings.map(({ name, type }) => ({
+        id: `${nodeId}:${name}`,
+        label: name,
+        tags: [{ label: type, textColor: 0xffffff, backgroundColor: 0xffa000 }],
+      })),
+    }));
+}
+
+function getInspectorState(selectedId) {
+  const bindings = getStoreBindings()
+    .filter(({ nodeId, name }) => nodeId === selectedId || `${nodeId}:${name}` === selectedId);
+
+  return {
+    bindings: bindings.map(({
+      storeId, name, field, type, path, ref,
+    }) => {
+      const listener = getListener(ref);
+      const snapshot = listener?.snapshot;
+
+      return {
+        key: `${storeId}:${name}`,
+        value: {
+          store: storeId,
+          name,
+          field,
+          type,
+          path,
+          docs: getDocCount(type, snapshot),
+          fromCache: snapshot?.metadata.fromCache ?? null,
+          hasPendingWrites: snapshot?.metadata.hasPendingWrites ?? null,
+          subscribers: listener?.subscribers ?? 0,
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Add the piniafire inspector and timeline layer to the Vue devtools of an app
+ * @param { App } app
+ */
+export function setupDevtools(app) {
+  if (setupApps.has(app)) return;
+
+  setupApps.add(app);
+
+  setupDevtoolsPlugin({
+    id: 'piniafire',
+    label: 'piniafire',
+    packageName: 'piniafire',
+    app,
+  }, (api) => {
+    apis.push(api);
+
+    api.addInspector({
+      id: INSPECTOR_ID,
+      label: 'piniafire',
+      icon: 'local_fire_department',
+      treeFilterPlaceholder: 'Search bindings',
+    });
+
+    api.addTimelineLayer({
+      id: TIMELINE_LAYER_ID,
+      label: 'piniafire',
+      color: 0xffa000,
+    });
+
+    api.on.getInspectorTree((payload) => {
+      if (payload.inspectorId !== INSPECTOR_ID) return;
+
+      payload.rootNodes = getInspectorTree(payload.filter);
+    });
+
+    api.on.getInspectorState((payload) => {
+      if (payload.inspectorId !== INSPECTOR_ID) return;
+
+      payload.state = getInspectorState(payload.nodeId);
+    });
+  });
+}
+
+/**
+ * Add an event to the piniafire timeline and refresh the inspector
+ * @param { String } storeId
+ * @param { String } title
+ * @param { Object } [data]
+ * @param { String } [logType] - 'default', 'warning' or 'error'
+ */
+export function recordEvent(storeId, title, data = {}, logType = 'default') {
+  if (!apis.length) return;
+
+  // Payloads are copied so that later changes to the documents don't rewrite the history
+  const eventData = { store: storeId, ...cloneDeep(data) };
+
+  apis.forEach((api) => {
+    api.addTimelineEvent({
+      layerId: TIMELINE_LAYER_ID,
+      event: {
+        time: api.now(),
+        title,
+        subtitle: storeId,
+        data: eventData,
+        logType,
+      },
+    });
+    api.sendInspectorTree(INSPECTOR_ID);
+    api.sendInspectorState(INSPECTOR_ID);
+  });
+}
+
+/**
+ * Add a snapshot of a binding to the piniafire timeline
+ * @param { String } storeId
+ * @param { String } name - the name of the binding
+ * @param { DocumentSnapshot | QuerySnapshot } snapshot
+ */
+export function recordSnapshot(storeId, name, snapshot) {
+  if (!apis.length) return;
+
+  const type = snapshot.ref ? 'document' : 'query';
+
+  recordEvent(storeId, 'snapshot', {
+    binding: name,
+    path: snapshot.ref?.path ?? null,
+    docs: getDocCount(type, snapshot),
+    changes: (type === 'query') ? snapshot.docChanges().map(({ type: changeType, doc }) => `${changeType} ${doc.id}`) : null,
+    fromCache: snapshot.metadata.fromCache,
+    hasPendingWrites: snapshot.metadata.hasPendingWrites,
+  });
+}
@@ -0,0 +1,144 @@
+import { onSnapshot, queryEqual, refEqual } from 'firebase/firestore';
+import logger from '../utils/logger';
+
+// Snapshot listeners, each shared by every subscriber of the same document or query
+const listeners = [];
+
+function isSameRef(a, b) {
+  if (a.type === 'document' || b.type === 'document') {
+    return a.type === b.type && refEqual(a, b);
+  }
+
+  return queryEqual(a, b);
+}
+
+function getDescription(ref) {
+  return ref.path || 'query';
+}
+
+/**
+ * A query snapshot whose changes add every document, for subscribers joining a listener after its first snapshot
+ * @param { QuerySnapshot } snapshot
+ * @return { Object }
+ */
+function asInitialSnapshot(snapshot) {
+  return {
+    docs: snapshot.docs,
+    size: snapshot.size,
+    empty: snapshot.empty,
+    metadata: snapshot.metadata,
+    query: snapshot.query,
+    forEach: (callback, thisArg) => snapshot.forEach(callback, thisArg),
+    docChanges: () => snapshot.docs.map((doc, newIndex) => ({
+      type: 'added', doc, oldIndex: -1, newIndex,
+    })),
+  };
+}
+
+function notify(listener, subscriber) {
+  const { ref, snapshot } = listener;
+
+  // Subscribers that joined after the first snapshot haven't seen the documents it added
+  subscriber.onNext((subscriber.isCurrent || ref.type === 'document') ? snapshot : asInitialSnapshot(snapshot));
+  subscriber.isCurrent = true;
+}
+
+function createListener(ref, gracePeriod) {
+  const listener = {
+    ref,
+    subscribers: new Set(),
+    snapshot: null,
+    gracePeriod,
+    releaseTimer: null,
+  };
+
+  listener.unsub = onSnapshot(ref, (snapshot) => {
+    listener.snapshot = snapshot;
+    listener.subscribers.forEach((subscriber) => notify(listener, subscriber));
+  }, (error) => {
+    // Firestore stops listening after an error, so every subscriber is dropped and the next one starts a new listener
+    const subscribers = [...listener.subscribers];
+
+    listener.subscribers.clear();
+    close(listener);
+    subscribers.forEach(({ onError }) => onError(error));
+  });
+
+  listeners.push(listener);
+  logger.log('listen:', getDescription(ref));
+
+  return listener;
+}
+
+function close(listener) {
+  const index = listeners.indexOf(listener);
+
+  if (index === -1) return;
+
+  clearTimeout(listener.releaseTimer);
+  listener.unsub();
+  listeners.splice(index, 1);
+  logger.log('stop listening:', getDescription(listener.ref));
+}
+
+/**
+ * Listen to a document or query, sharing a single onSnapshot listener between every subscriber of the same ref.
+ * Subscribers joining an active listener receive its latest snapshot straight away. The listener is stopped once
+ * its last subscriber leaves
+ * @param { DocumentReference | Query } ref
+ * @param { Function } onNext - called with each snapshot
+ * @param { Function } onError
+ * @param { Object } [options]
+ * @param { Number } [options.gracePeriod] - milliseconds to keep listening after the last subscriber leaves, so
+ * that a subscriber arriving soon after, e.g. on the next route, doesn't start a new listener. Set by the
+ * subscriber that starts the listener
+ * @return { Function } unsubscribes
+ */
+export function subscribe(ref, onNext, onError, { gracePeriod = 0 } = {}) {
+  const listener = listeners.find((item) => isSameRef(item.ref, ref)) || createListener(ref, gracePeriod);
+  const subscriber = { onNext, onError, isCurrent: !listener.snapshot };
+
+  clearTimeout(listener.releaseTimer);
+  listener.releaseTimer = null;
+  listener.subscribers.add(subscriber);
+
+  if (listener.snapshot) {
+    // Called asynchronously like the snapshots of a new listener
+    Promise.resolve().then(() => {
+      if (listener.subscribers.has(subscriber) && !subscriber.isCurrent) {
+        notify(listener, subscriber);
+      }
+    });
+  }
+
+  return () => {
+    if (!listener.subscribers.delete(subscriber) || listener.subscribers.size) return;
+
+    if (listener.gracePeriod > 0) {
+      listener.releaseTimer = setTimeout(() => close(listener), listener.gracePeriod);
+    } else {
+      close(listener);
+    }
+  };
+}
+
+/**
+ * List the active listeners
+ * @return {{ ref: Object, subscribers: Number, snapshot: Object }[]}
+ */
+export function getListeners() {
+  return listeners.map(({ ref, subscribers, snapshot }) => ({
+    ref,
+    subscribers: subscribers.size,
+    snapshot,
+  }));
+}
+
+/**
+ * The active listener of a document or query
+ * @param { DocumentReference | Query } ref
+ * @return {{ ref: Object, subscribers: Number, snapshot: Object } | null}
+ */
+export function getListener(ref) {
+  return getListeners().find((listener) => isSameRef(listener.ref, ref)) || null;
+}
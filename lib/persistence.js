@@ -0,0 +1,162 @@
+import { cloneDeep } from 'lodash-es';
+import logger from '../utils/logger';
+
+/**
+ * A persistence adapter stores documents while no user is signed in. Documents are keyed by their
+ * path, e.g. `todos/abc123`. Adapters implement, synchronously or returning promises:
+ *  - get(key): the stored value or null
+ *  - set(key, value): store the value
+ *  - remove(key): remove the value
+ *  - list(prefix): the values of every key starting with the prefix
+ */
+
+function webStorageAdapter(getStorage, prefix) {
+  const getKeys = () => {
+    const storage = getStorage();
+    return Array.from({ length: storage.length }, (_, i) => storage.key(i));
+  };
+
+  return {
+    get(key) {
+      const storedJSON = getStorage().getItem(`${prefix}${key}`);
+      return storedJSON ? JSON.parse(storedJSON) : null;
+    },
+    set(key, value) {
+      getStorage().setItem(`${prefix}${key}`, JSON.stringify(value));
+      return value;
+    },
+    remove(key) {
+      getStorage().removeItem(`${prefix}${key}`);
+    },
+    list(keyPrefix = '') {
+      return getKeys()
+        .filter((key) => key.startsWith(`${prefix}${keyPrefix}`))
+        .map((key) => JSON.parse(getStorage().getItem(key)));
+    },
+  };
+}
+
+/**
+ * Persist documents to localStorage as JSON
+ * @param { Object } [options]
+ * @param { String } [options.prefix] - prepended to every storage key
+ * @return { Object }
+ */
+export function localStorageAdapter({ prefix = 'piniafire:' } = {}) {
+  return webStorageAdapter(() => window.localStorage, prefix);
+}
+
+/**
+ * Persist documents to sessionStorage as JSON
+ * @param { Object } [options]
+ * @param { String } [options.prefix] - prepended to every storage key
+ * @return { Object }
+ */
+export function sessionStorageAdapter({ prefix = 'piniafire:' } = {}) {
+  return webStorageAdapter(() => window.sessionStorage, prefix);
+}
+
+/**
+ * Persist documents to an IndexedDB object store
+ * @param { Object } [options]
+ * @param { String } [options.name] - the database name
+ * @param { String } [options.storeName] - the object store name
+ * @return { Object }
+ */
+export function indexedDBAdapter({ name = 'piniafire', storeName = 'documents' } = {}) {
+  let dbPromise = null;
+
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return dbPromise;
+  }
+
+  async function run(mode, fn) {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        logger.error('IndexedDB request failed', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  return {
+    async get(key) {
+      return (await run('readonly', (store) => store.get(key))) ?? null;
+    },
+    async set(key, value) {
+      // Reactive proxies can't be cloned into IndexedDB
+      await run('readwrite', (store) => store.put(cloneDeep(value), key));
+      return value;
+    },
+    async remove(key) {
+      await run('readwrite', (store) => store.delete(key));
+    },
+    async list(keyPrefix = '') {
+      return run('readonly', (store) => store.getAll(IDBKeyRange.bound(keyPrefix, `${keyPrefix}\uffff`)));
+    },
+  };
+}
+
+/**
+ * Keep documents in memory, e.g. for tests or to lose guest data on reload
+ * @return { Object }
+ */
+export function memoryAdapter() {
+  const items = new Map();
+
+  return {
+    get(key) {
+      return items.has(key) ? cloneDeep(items.get(key)) : null;
+    },
+    set(key, value) {
+      items.set(key, cloneDeep(value));
+      return value;
+    },
+    remove(key) {
+      items.delete(key);
+    },
+    list(keyPrefix = '') {
+      return [...items.entries()]
+        .filter(([key]) => key.startsWith(keyPrefix))
+        .map(([, value]) => cloneDeep(value));
+    },
+  };
+}
+
+export const persistenceAdapters = {
+  localStorage: localStorageAdapter,
+  sessionStorage: sessionStorageAdapter,
+  indexedDB: indexedDBAdapter,
+  memory: memoryAdapter,
+};
+
+/**
+ * Normalise the persistence store option into an adapter
+ * @param { String | Object } [persistence] - the name of a built in adapter or an adapter
+ * @return { Object | null }
+ */
+export function createPersistenceAdapter(persistence) {
+  if (!persistence) return null;
+
+  if (typeof persistence !== 'string') return persistence;
+
+  if (!persistenceAdapters[persistence]) {
+    logger.error('Unknown persistence adapter', persistence);
+    return null;
+  }
+
+  return persistenceAdapters[persistence]();
+}
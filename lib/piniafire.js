@@ -1,72 +1,184 @@
 // Inspired by https://github.com/s-agena/pinia-firestore
 
-import { onSnapshot } from 'firebase/firestore';
+import { markRaw } from 'vue';
+import { getDoc, getDocs } from 'firebase/firestore';
 import logger from '../utils/logger.js';
+import { createRefResolver } from './refs.js';
+import { subscribe } from './listeners.js';
 
-function getStoreKey(id, name) {
-  return `${id}:${name}`;
-}
+// Every registered listener, to list the bindings of all the stores
+const items = new Set();
 
-const unsubs = {};
+// The listeners of a store keyed by name
+function getRegistry(piniaInstance) {
+  if (!piniaInstance._registry) {
+    piniaInstance._registry = markRaw({});
+  }
 
-function pick(id, name) {
-  const itemKey = getStoreKey(id, name);
-  const item = unsubs[itemKey];
-  logger.log('pick:', id, name, item);
+  return piniaInstance._registry;
+}
+
+function pick(piniaInstance, name) {
+  const item = getRegistry(piniaInstance)[name];
+  logger.log('pick:', piniaInstance.$id, name);
   return item;
 }
 
-function remove(id, name) {
-  const itemKey = getStoreKey(id, name);
-  const item = unsubs[itemKey];
+function remove(piniaInstance, name) {
+  const registry = getRegistry(piniaInstance);
+  const item = registry[name];
 
   if (item !== undefined) {
-    delete unsubs[itemKey];
-    logger.log('remove:', id, name, item);
+    delete registry[name];
+    items.delete(item);
+    logger.log('remove:', piniaInstance.$id, name);
   }
 }
 
-function store(id, name, unsub, type) {
-  const itemKey = getStoreKey(id, name);
+function store(piniaInstance, name, unsub, ref, field) {
+  const registry = getRegistry(piniaInstance);
   const item = {
-    id,
+    id: piniaInstance.$id,
+    store: piniaInstance,
     name,
     unsub,
-    remove: () => remove(id, name),
-    type,
+    remove: () => {
+      // The listener may already have been replaced by a new binding with the same name
+      if (registry[name] === item) remove(piniaInstance, name);
+    },
+    type: ref.type,
+    ref,
+    field,
   };
-  unsubs[itemKey] = item;
+  registry[name] = item;
+  items.add(item);
+
+  return item;
+}
+
+function findByRef(piniaInstance, ref) {
+  return Object.values(getRegistry(piniaInstance)).find((item) => (
+    item.ref === ref || (ref.path && item.ref.path === ref.path)
+  ));
 }
 
+/**
+ * Stop listening to a bound ref
+ * @param piniaInstance
+ * @param { DocumentReference | Query | String } ref - the bound ref or the name it was bound with
+ */
 export const unbind = (piniaInstance, ref) => {
-  const item = pick(piniaInstance.$id, ref.id);
+  if (!ref) return;
+
+  const item = (typeof ref === 'string') ? pick(piniaInstance, ref) : findByRef(piniaInstance, ref);
+
+  if (!item) return;
 
   item.unsub();
   item.remove();
 };
 
+/**
+ * Stop every listener bound to a store
+ * @param piniaInstance
+ */
+export const unbindAll = (piniaInstance) => {
+  getBindings(piniaInstance).forEach(({ name }) => unbind(piniaInstance, name));
+};
+
+/**
+ * List the active listeners
+ * @param [piniaInstance] - only list the listeners of this store
+ * @return {{
+ *   storeId: String, store: Object, name: String, field: String, type: String, path: String, ref: Object
+ * }[]}
+ */
+export const getBindings = (piniaInstance) => (piniaInstance ? Object.values(getRegistry(piniaInstance)) : [...items])
+  .map(({
+    id, store: boundStore, name, field, type, ref,
+  }) => ({
+    storeId: id,
+    store: boundStore,
+    name,
+    field,
+    type,
+    // Queries don't have a path of their own
+    path: ref.path || null,
+    ref,
+  }));
+
+/**
+ * Listen to a document or query and keep the given store field in sync with it. Bindings of the same document or
+ * query share a single snapshot listener
+ * @param piniaInstance
+ * @param { String } field - the state key to bind to
+ * @param { DocumentReference | Query } ref
+ * @param { Object } [options]
+ * @param { String } [options.name] - registry key for the listener, defaults to the field. Binding a name that is
+ * already bound replaces its listener
+ * @param { Function } [options.offset] - returns the index in the collection at which the query results start
+ * @param {{ read: Function }} [options.converter] - converts snapshots into document data
+ * @param { Boolean | Object } [options.resolveRefs] - inline referenced documents, see createRefResolver
+ * @param { Boolean } [options.once] - read the data once instead of listening to it, references aren't resolved
+ * @param { Number } [options.gracePeriod] - milliseconds to keep the shared listener after its last binding is unbound
+ * @param { Function } [options.beforeUpdate] - called with the document data before it is patched into the store
+ * @param { Function } [options.afterUpdate] - called with the data and snapshot after each snapshot has been applied
+ * @param { Function } [options.onError] - called with listener and read errors
+ * @return { Promise } resolves with the data from the first snapshot
+ */
 export const bind = async(piniaInstance, field, ref, options = {}) => new Promise((resolve, reject) => {
-  // Ref may be undefined if localStorage fallback is being used
+  // Ref may be undefined if a persistence adapter is being used
   if (!ref) {
     resolve();
     return;
   }
 
   let isInitialised = false;
+  let registryItem = null;
+  const name = options.name || field;
+
+  // Only one listener per name
+  unbind(piniaInstance, name);
+
+  const refResolver = (options.resolveRefs && !options.once)
+    ? createRefResolver({
+      ...(options.resolveRefs === true ? {} : options.resolveRefs),
+      converter: options.converter,
+      gracePeriod: options.gracePeriod,
+    })
+    : null;
 
   const updateHandler = (ref.type === 'document')
     ? handleDocSnapshotUpdate
     : handleCollectionSnapshotUpdate;
 
-  const unsub = onSnapshot(ref, updateHandler, handleError);
+  if (options.once) {
+    const read = (ref.type === 'document') ? getDoc(ref) : getDocs(ref);
+    read.then(updateHandler, handleError);
+    return;
+  }
+
+  const snapshotUnsub = subscribe(ref, updateHandler, handleError, { gracePeriod: options.gracePeriod });
+
+  const unsub = () => {
+    snapshotUnsub();
+    refResolver?.releaseAll();
+  };
+
+  function getDocumentData(snapshot) {
+    const doc = makeDocumentData(snapshot, options.converter);
+
+    return refResolver ? refResolver.resolve(snapshot.ref.path, doc) : doc;
+  }
 
   function handleDocSnapshotUpdate(snapshot) {
     if (!snapshot.exists()) {
+      refResolver?.releaseAll();
       return _resolve(false);
     }
 
     const { beforeUpdate, afterUpdate } = options;
-    const doc = makeDocumentData(snapshot);
+    const doc = getDocumentData(snapshot);
 
     if (beforeUpdate) {
       try {
@@ -77,46 +189,85 @@ export const bind = async(piniaInstance, field, ref, options = {}) => new Promis
     }
 
     piniaInstance.$patch((state) => {
-      Object.assign(state[field], doc);
+      state[field] = Object.assign(state[field] || {}, doc);
     });
 
-    if (afterUpdate) afterUpdate(doc);
+    if (afterUpdate) afterUpdate(doc, snapshot);
 
     _resolve(doc);
   }
 
   function handleCollectionSnapshotUpdate(querySnapshot) {
-    const docs = piniaInstance.$state.collection;
+    if (!Array.isArray(piniaInstance.$state[field])) {
+      piniaInstance.$state[field] = [];
+    }
 
-    piniaInstance[field] = docs;
+    const docs = piniaInstance.$state[field];
+    // Paginated queries are bound page by page, so indexes are relative to the start of the page
+    const offset = options.offset?.() || 0;
+
+    // One-off reads replace everything from the start of their page, dropping documents deleted since the last read
+    if (options.once) {
+      docs.splice(offset).forEach((item) => {
+        if (docs[item.__id] === item) {
+          delete docs[item.__id];
+        }
+      });
+    }
 
     querySnapshot.docChanges().forEach((change) => {
       const { id } = change.doc;
+      const { path } = change.doc.ref;
+      const newIndex = offset + change.newIndex;
 
       switch (change.type) {
         case 'added':
-          const doc = docs[id];
-          const { newIndex } = change;
+          // Collection group queries can have documents with the same id in different collections
+          const doc = (docs[id]?.__path === path) ? docs[id] : null;
           if (!doc) {
-            const newDoc = makeDocumentData(change.doc);
-            newDoc.__index = newIndex;
-            docs.splice(change.newIndex, 0, newDoc);
+            const newDoc = getDocumentData(change.doc);
+            docs.splice(newIndex, 0, newDoc);
             docs[id] = newDoc;
           } else {
-            doc.__index = newIndex;
-            docs[newIndex] = doc;
+            // e.g. hydrated from server rendered state, or still listed by a later page
+            Object.assign(doc, getDocumentData(change.doc));
+            const currentIndex = docs.indexOf(doc);
+            if (currentIndex !== -1) {
+              docs.splice(currentIndex, 1);
+            }
+            docs.splice(newIndex, 0, doc);
           }
           break;
         case 'modified':
-          docs.splice(change.newIndex, 1, makeDocumentData(change.doc));
+          // Pages of the same collection can overlap for a moment so the doc is found by path rather than by index
+          const modifiedIndex = docs.findIndex((item) => item.__path === path);
+          const modifiedDoc = getDocumentData(change.doc);
+          if (modifiedIndex !== -1) {
+            docs.splice(modifiedIndex, 1);
+          }
+          docs.splice(newIndex, 0, modifiedDoc);
+          docs[id] = modifiedDoc;
           break;
         case 'removed':
-          docs.splice(change.oldIndex, 1);
-          delete docs[id];
+          const removedIndex = docs.findIndex((item) => item.__path === path);
+          // The doc may already have been removed optimistically
+          if (removedIndex !== -1) {
+            docs.splice(removedIndex, 1);
+          }
+          if (docs[id]?.__path === path) {
+            delete docs[id];
+          }
+          refResolver?.releaseDoc(path);
           break;
       }
     });
 
+    docs.forEach((doc, index) => {
+      doc.__index = index;
+    });
+
+    if (options.afterUpdate) options.afterUpdate(docs, querySnapshot);
+
     _resolve(docs);
   }
 
@@ -129,7 +280,10 @@ export const bind = async(piniaInstance, field, ref, options = {}) => new Promis
 
   function handleError(error) {
     logger.error(`${piniaInstance.$id} error`, error);
-    remove(piniaInstance.$id, ref.id);
+    options.onError?.(error);
+    refResolver?.releaseAll();
+    // One-off reads aren't registered
+    registryItem?.remove();
 
     if (!isInitialised) {
       isInitialised = true;
@@ -137,11 +291,11 @@ export const bind = async(piniaInstance, field, ref, options = {}) => new Promis
     }
   }
 
-  store(piniaInstance.$id, ref.id, unsub, ref.type);
+  registryItem = store(piniaInstance, name, unsub, ref, field);
 });
 
-function makeDocumentData(snapshot) {
-  const doc = snapshot.data() || {};
+function makeDocumentData(snapshot, converter) {
+  const doc = (converter ? converter.read(snapshot) : snapshot.data()) || {};
 
   return {
     __id: snapshot.id,
@@ -1,19 +1,62 @@
-export default function piniafirePlugin(pluginOptions) {
-  return ({ store, options }) => {
+import { markRaw } from 'vue';
+import { isEmpty } from 'lodash-es';
+import { setupDevtools } from './devtools';
+
+// Devtools are left out of production builds unless enabled with Vue's flag, like pinia's own
+const USE_DEVTOOLS = process.env.NODE_ENV !== 'production'
+  || (typeof __VUE_PROD_DEVTOOLS__ !== 'undefined' && __VUE_PROD_DEVTOOLS__);
+
+export default function piniafirePlugin(pluginOptions = {}) {
+  const {
+    db,
+    onValidationSuccess,
+    onValidationError,
+    onSyncError,
+    appendToCreated,
+    appendToUpdated,
+    schemaAdapter,
+    auth,
+    onSignInMigrate,
+    listenerGracePeriod,
+    devtools = true,
+  } = pluginOptions;
+
+  return ({
+    app, pinia, store, options,
+  }) => {
     if (!options.__piniafire) return;
 
-    const {
-      onValidationSuccess,
-      onValidationError,
-      appendToCreated,
-      appendToUpdated
-    } = pluginOptions;
+    // The inspector and timeline are only added in the browser
+    if (USE_DEVTOOLS && devtools && app && typeof window === 'object') {
+      setupDevtools(app);
+    }
+
+    // Firestore instances must not be made reactive. Stores without one need their own db option
+    store._db = db && markRaw(db);
+
+    // Subcollection stores are created in the same pinia as their parent store
+    store._pinia = pinia;
+
+    // null runs the stores without Firebase Auth, e.g. in tests
+    if (auth !== undefined) {
+      store._auth = auth && markRaw(auth);
+    }
 
     store._globalOptions = {
       onValidationSuccess,
       onValidationError,
+      onSyncError,
       appendToCreated,
       appendToUpdated,
+      schemaAdapter,
+      onSignInMigrate,
+      listenerGracePeriod,
     };
+
+    // The schema may use the global adapter, so the defaults can only be applied once the options are set.
+    // Hydrated documents are kept
+    if (isEmpty(store.doc)) {
+      store.doc = store._getSchema()?.getDefault() || {};
+    }
   }
 }
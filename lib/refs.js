@@ -0,0 +1,154 @@
+import { reactive } from 'vue';
+import { DocumentReference, doc } from 'firebase/firestore';
+import {
+  get, isArray, isPlainObject, mapValues, set,
+} from 'lodash-es';
+import logger from '../utils/logger';
+import { mapDeep } from './converter';
+import { subscribe } from './listeners';
+
+/**
+ * Resolve DocumentReference fields of bound documents into the data of the documents they point to.
+ * Each resolver keeps its own copies of the referenced documents, while their snapshot listeners are shared with
+ * every other binding of the same documents. A copy is released once no field references it
+ * @param { Object } [options]
+ * @param { Number } [options.depth] - how many levels of references to follow
+ * @param { Array } [options.fields] - the paths to resolve, defaults to every top level field
+ * @param {{ read: Function }} [options.converter] - converts the snapshots of referenced documents into data
+ * @param { Number } [options.gracePeriod] - see subscribe
+ * @return {{ resolve: Function, releaseDoc: Function, releaseAll: Function }}
+ */
+export function createRefResolver({
+  depth = 1, fields, converter, gracePeriod,
+} = {}) {
+  // The referenced documents, keyed by path
+  const refs = {};
+  // Paths of the referenced documents, keyed by `${docPath}|${fieldPath}`
+  const resolved = {};
+
+  function acquire(ref) {
+    if (!refs[ref.path]) {
+      const data = reactive({ __id: ref.id, __path: ref.path });
+      // Referenced documents resolve their own refs one level less deep
+      const nested = createRefResolver({ depth: depth - 1, converter, gracePeriod });
+
+      const unsub = subscribe(ref, (snapshot) => {
+        const docData = snapshot.exists() ? (converter ? converter.read(snapshot) : snapshot.data()) : {};
+        Object.assign(data, nested.resolve(ref.path, docData));
+      }, (error) => {
+        logger.error(`Error resolving ${ref.path}`, error);
+        // The listener has stopped, so the document is subscribed to again the next time a field references it
+        nested.releaseAll();
+        delete refs[ref.path];
+        Object.keys(resolved)
+          .filter((fieldKey) => resolved[fieldKey] === ref.path)
+          .forEach((fieldKey) => delete resolved[fieldKey]);
+      }, { gracePeriod });
+
+      refs[ref.path] = {
+        data,
+        count: 0,
+        unsub: () => {
+          unsub();
+          nested.releaseAll();
+        },
+      };
+      logger.log('resolve ref:', ref.path);
+    }
+
+    refs[ref.path].count += 1;
+
+    return refs[ref.path].data;
+  }
+
+  function release(path) {
+    const item = refs[path];
+
+    if (!item) return;
+
+    item.count -= 1;
+
+    if (item.count > 0) return;
+
+    item.unsub();
+    delete refs[path];
+    logger.log('release ref:', path);
+  }
+
+  function resolveRef(docPath, fieldPath, ref, activeFields) {
+    const fieldKey = `${docPath}|${fieldPath}`;
+
+    activeFields.add(fieldKey);
+
+    if (resolved[fieldKey] === ref.path) {
+      return refs[ref.path].data;
+    }
+
+    if (resolved[fieldKey]) release(resolved[fieldKey]);
+
+    resolved[fieldKey] = ref.path;
+
+    return acquire(ref);
+  }
+
+  function releaseFields(fieldKeys) {
+    fieldKeys.forEach((fieldKey) => {
+      release(resolved[fieldKey]);
+      delete resolved[fieldKey];
+    });
+  }
+
+  return {
+    /**
+     * Replace the references in a document's data with the referenced documents' data
+     * @param { String } docPath
+     * @param { Object } data
+     * @return { Object }
+     */
+    resolve(docPath, data) {
+      if (depth < 1) return data;
+
+      const activeFields = new Set();
+      const paths = fields || Object.keys(data);
+
+      paths.forEach((fieldPath) => {
+        const value = get(data, fieldPath);
+
+        if (value instanceof DocumentReference) {
+          set(data, fieldPath, resolveRef(docPath, fieldPath, value, activeFields));
+        } else if (isArray(value) && value.some((item) => item instanceof DocumentReference)) {
+          set(data, fieldPath, value.map((item, i) => (
+            (item instanceof DocumentReference) ? resolveRef(docPath, `${fieldPath}.${i}`, item, activeFields) : item
+          )));
+        }
+      });
+
+      // Fields that no longer hold the same references
+      releaseFields(Object.keys(resolved).filter((fieldKey) => (
+        fieldKey.startsWith(`${docPath}|`) && !activeFields.has(fieldKey)
+      )));
+
+      return data;
+    },
+
+    releaseDoc(docPath) {
+      releaseFields(Object.keys(resolved).filter((fieldKey) => fieldKey.startsWith(`${docPath}|`)));
+    },
+
+    releaseAll() {
+      releaseFields(Object.keys(resolved));
+    },
+  };
+}
+
+/**
+ * Turn resolved references in document data back into DocumentReferences so they can be written
+ * @param { Firestore } db
+ * @param { Object } data
+ * @return { Object }
+ */
+export function unresolveRefs(db, data) {
+  return mapValues(data, (value) => mapDeep(value, (item) => (
+    (isPlainObject(item) && item.__path) ? doc(db, item.__path) : item
+  )));
+}
@@ -0,0 +1,163 @@
+import {
+  cloneDeep, get, isFunction, pick,
+} from 'lodash-es';
+import logger from '../utils/logger';
+
+/**
+ * A schema adapter wraps a docSchema so that stores don't depend on a particular validation library.
+ * Adapters implement:
+ *  - getDefault(): the default document data
+ *  - cast(data): the data coerced to the schema with unknown keys removed
+ *  - validateAt(path, data): an error message if the value at the path is invalid, otherwise null
+ *  - validate(data): an object of error messages keyed by path, empty if the data is valid
+ */
+
+/**
+ * Adapter for yup object schemas
+ * @param { ObjectSchema } schema
+ * @return { Object }
+ */
+export function yupAdapter(schema) {
+  return {
+    getDefault() {
+      return schema.getDefaultFromShape?.() || schema.getDefault();
+    },
+    cast(data) {
+      return schema.cast(data, { stripUnknown: true });
+    },
+    validateAt(path, data) {
+      try {
+        schema.validateSyncAt(path, data);
+        return null;
+      } catch(e) {
+        return e.message;
+      }
+    },
+    validate(data) {
+      try {
+        schema.validateSync(data, { abortEarly: false });
+        return {};
+      } catch(e) {
+        const errors = e.inner?.length ? e.inner : [e];
+        return errors.reduce((all, error) => ({ ...all, [error.path]: error.message }), {});
+      }
+    },
+  };
+}
+
+/**
+ * Adapter for zod object schemas
+ * @param { ZodObject } schema
+ * @return { Object }
+ */
+export function zodAdapter(schema) {
+  // Refined schemas wrap the object schema
+  const shape = schema.shape || schema._def?.schema?.shape || {};
+
+  function getErrors(data) {
+    const result = schema.safeParse(data);
+
+    if (result.success) return {};
+
+    return result.error.issues.reduce((all, issue) => {
+      const path = issue.path.join('.');
+      return (path in all) ? all : { ...all, [path]: issue.message };
+    }, {});
+  }
+
+  return {
+    getDefault() {
+      return Object.entries(shape).reduce((defaults, [key, field]) => {
+        const result = field.safeParse(undefined);
+        return (result.success && result.data !== undefined) ? { ...defaults, [key]: result.data } : defaults;
+      }, {});
+    },
+    cast(data) {
+      const result = schema.safeParse(data);
+      return result.success ? result.data : pick(data, Object.keys(shape));
+    },
+    validateAt(path, data) {
+      const errors = getErrors(data);
+      const errorPath = Object.keys(errors).find((key) => key === path || key.startsWith(`${path}.`));
+      return errorPath === undefined ? null : errors[errorPath];
+    },
+    validate(data) {
+      return getErrors(data);
+    },
+  };
+}
+
+/**
+ * Adapter for plain validator functions. The docSchema is an object of
+ * { defaults, validators }, where validators are keyed by path and return true when the value is valid
+ * or an error message when it isn't, e.g. { title: (value, doc) => value.length > 0 || 'Title is required' }
+ * @param {{ defaults: Object | Function, validators: Object }} schema
+ * @return { Object }
+ */
+export function functionsAdapter(schema) {
+  const { defaults = {}, validators = {} } = schema;
+
+  function runValidator(path, data) {
+    const result = validators[path](get(data, path), data);
+
+    if (result === true || result === undefined) return null;
+
+    return (typeof result === 'string') ? result : `${path} is invalid`;
+  }
+
+  return {
+    getDefault() {
+      return isFunction(defaults) ? defaults() : cloneDeep(defaults);
+    },
+    cast(data) {
+      return data;
+    },
+    validateAt(path, data) {
+      // Validators of the path itself and of anything nested under it
+      const paths = Object.keys(validators).filter((key) => key === path || key.startsWith(`${path}.`));
+
+      return paths.map((key) => runValidator(key, data)).find(Boolean) || null;
+    },
+    validate(data) {
+      return Object.keys(validators).reduce((errors, path) => {
+        const message = runValidator(path, data);
+        return message ? { ...errors, [path]: message } : errors;
+      }, {});
+    },
+  };
+}
+
+export const schemaAdapters = {
+  yup: yupAdapter,
+  zod: zodAdapter,
+  functions: functionsAdapter,
+};
+
+function detectAdapter(schema) {
+  if (isFunction(schema.validateSyncAt)) return yupAdapter;
+  if (isFunction(schema.safeParse)) return zodAdapter;
+  if (schema.validators) return functionsAdapter;
+
+  return null;
+}
+
+/**
+ * Wrap a docSchema in a schema adapter
+ * @param { Object } schema - the docSchema store option
+ * @param { String | Function } [adapter] - the name of a built in adapter or an adapter factory.
+ * Detected from the schema if not given
+ * @return { Object | null }
+ */
+export function createSchemaAdapter(schema, adapter) {
+  if (!schema) return null;
+
+  const createAdapter = (typeof adapter === 'string') ? schemaAdapters[adapter] : (adapter || detectAdapter(schema));
+
+  if (!createAdapter) {
+    // Schemas that can't be detected are left unvalidated unless an adapter was asked for
+    if (adapter) logger.error('Unknown schema adapter', adapter);
+    return null;
+  }
+
+  return createAdapter(schema);
+}
@@ -0,0 +1,19 @@
+import { isArray, isPlainObject, mapValues, omit } from 'lodash-es';
+
+function omitMetadata(value) {
+  if (isArray(value)) return value.map(omitMetadata);
+  if (isPlainObject(value)) return mapValues(omit(value, '__metadata'), omitMetadata);
+
+  return value;
+}
+
+/**
+ * Get the state of every store ready to be serialized on the server. Snapshot metadata can't be
+ * serialized so it is removed. On the client, set `pinia.state.value` to the deserialized state before
+ * the stores are used and `$fetch` / `$query` will attach their listeners without refetching
+ * @param { Pinia } pinia
+ * @return { Object }
+ */
+export function serializeState(pinia) {
+  return omitMetadata(pinia.state.value);
+}
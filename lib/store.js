@@ -1,13 +1,29 @@
 import { defineStore } from 'pinia';
+import { effectScope, markRaw, toRef, watch } from 'vue';
 import {
-  getFirestore, collection, addDoc, setDoc, deleteDoc, doc, updateDoc, query, orderBy, where, getDoc,
+  collection, setDoc, doc, getDoc, query, orderBy, where, limit,
+  limitToLast, startAfter, startAt, endBefore, or, and, collectionGroup,
+  getAggregateFromServer, count, sum, average,
 } from 'firebase/firestore';
 import { getAuth } from 'firebase/auth';
 import {
-  get, has, reduce, isArray, isEqual, set, cloneDeep, omit,
+  get, has, isArray, isEmpty, isEqual, isFunction, set, unset, cloneDeep, omit, omitBy, castArray, mapValues,
 } from 'lodash-es';
 import logger from '../utils/logger';
-import { bind, unbind } from './piniafire';
+import { getChangedPaths } from '../utils/diff';
+import { isPathTemplate, resolvePath } from '../utils/path';
+import {
+  bind, unbind, unbindAll, getBindings,
+} from './piniafire';
+import {
+  getWriteContext, runBatch, runInTransaction, setDocument, addDocument, updateDocument, deleteDocument,
+} from './writes';
+import createAutoSync from './autoSync';
+import { createConverter } from './converter';
+import { createSchemaAdapter } from './schema';
+import { unresolveRefs } from './refs';
+import { createPersistenceAdapter, localStorageAdapter } from './persistence';
+import { recordEvent, recordSnapshot } from './devtools';
 
 const UNINITIALIZED = 'UNINITIALIZED';
 const INITIALIZING = 'INITIALIZING';
@@ -15,24 +31,61 @@ const INITIALIZED = 'INITIALIZED';
 
 const isClient = (typeof window === 'object');
 
-const getLocalStorageHandlers = (localStorageFallbackKey) => {
-  if (!localStorageFallbackKey) return null;
+// Fills in {uid} in the collection path of signed out stores that use a persistence adapter
+const GUEST_UID = 'guest';
+
+// Errors already passed to an onSyncError handler
+const reportedSyncErrors = new WeakSet();
+
+// The loaded pages of a paginated collection store
+function getPages(store) {
+  if (!store._pages) {
+    store._pages = markRaw([]);
+  }
+
+  return store._pages;
+}
+
+/**
+ * Convert a where clause from the query state into filter constraints. A clause can be a single
+ * tuple, e.g. ['age', '>', 18], an array of clauses, or a composite { or: [...] } / { and: [...] }
+ * @param { Array | Object } clause
+ * @return { Array }
+ */
+function getFilters(clause) {
+  if (!clause) return [];
+
+  if (isArray(clause)) {
+    return (typeof clause[0] === 'string')
+      ? [where(...clause)]
+      : clause.flatMap(getFilters);
+  }
+
+  if (clause.or) return [or(...clause.or.flatMap(getFilters))];
+  if (clause.and) return [and(...clause.and.flatMap(getFilters))];
+
+  logger.error('Invalid where clause', clause);
+  return [];
+}
 
-  if (import.meta.env.MODE !== 'test' && getAuth().currentUser) return null;
+/**
+ * Convert the orderBy query state into orderBy constraints. Accepts a field name, a { field, dir }
+ * object or an array of either
+ * @param { String | Object | Array } fields
+ * @param { String } [dir] - direction for fields given by name
+ * @return { Array }
+ */
+function getOrderings(fields, dir = 'asc') {
+  if (!fields) return [];
+
+  return castArray(fields).map((field) => (
+    (typeof field === 'string') ? orderBy(field, dir) : orderBy(field.field, field.dir || dir)
+  ));
+}
 
- return {
-   get: () => {
-     const storedJSON = localStorage.getItem(localStorageFallbackKey);
-     return storedJSON ? JSON.parse(storedJSON) : null;
-   },
-   set: (val) => {
-     localStorage.setItem(localStorageFallbackKey, JSON.stringify(val));
-     return val;
-   }
- }
-};
+function createDocActions(ensureExists, history, defaultMode) {
+  const historyLimit = history?.limit || 100;
 
-function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
   return {
     $get(path) {
       return get(this.doc, path);
@@ -48,33 +101,95 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
       return this._getRef(id);
     },
 
-    _bind(docRef) {
-      return bind(this, 'doc', docRef, {
-        beforeUpdate: this.onUpdate,
+    async _bind(docRef, { once = false, onError } = {}) {
+      this._startAutoSync();
+
+      const docData = await bind(this, 'doc', docRef, {
+        // Server side rendering only needs the current data
+        once: once || !isClient,
+        converter: this._getConverter(),
+        resolveRefs: this._getResolveRefs(),
+        gracePeriod: this._getGracePeriod(),
+        beforeUpdate: (doc) => {
+          // Keep any local changes before the snapshot is patched in
+          this._autoSync?.collect();
+          this.onUpdate?.(doc);
+        },
+        afterUpdate: (doc, snapshot) => {
+          this._autoSync?.reset();
+          this._setServerDoc(doc);
+          recordSnapshot(this.$id, 'doc', snapshot);
+        },
+        onError: (error) => {
+          this._onBindError('doc', error);
+          onError?.(error);
+        },
       }).catch(logger.error);
+
+      // Ref may be undefined if a persistence adapter is being used
+      if (docRef) {
+        await this._bindSubcollections(docRef.path, { once });
+      }
+
+      return docData;
     },
 
     async _unbind() {
-      const ref = await this.$getRef();
-      this.$reset();
-      return unbind(this, ref);
+      this._reset();
+      return this._unbindDoc();
+    },
+
+    /**
+     * Stop listening to the document and its subcollections, keeping the data already loaded
+     * @private
+     */
+    _unbindDoc() {
+      this._unbindSubcollections();
+      this._stopAutoSync();
+      return unbind(this, 'doc');
     },
 
     /**
      * Create a document, merging the given data with the default data
      * @param data
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - write in the $batch or $transaction it was passed to
      * @return {Object} - the id of the created document
      */
-    async $create(data = {}) {
-      const dataFromSchema = docSchema?.getDefaultFromShape() || {};
+    async $create(data = {}, { tx } = {}) {
+      const dataFromSchema = this._getSchema()?.getDefault() || {};
       const newDoc = {
         ...dataFromSchema,
         ...data,
       };
 
-      const created = await this._create(newDoc, (_newDoc) => {
-        this.doc = cloneDeep(_newDoc);
-      });
+      const context = getWriteContext(tx, this._getDb());
+
+      // Inside $batch / $transaction the new document is only set locally once the writes have been committed
+      if (context) {
+        const created = await this._create(newDoc, null, context);
+
+        context.onCommit(() => {
+          this._clearHistory();
+          this.doc = cloneDeep(created.data);
+          this._bind(created.ref);
+        });
+
+        return created.data;
+      }
+
+      const previousDoc = this.doc;
+      let created;
+
+      try {
+        created = await this._create(newDoc, (_newDoc) => {
+          this._clearHistory();
+          this.doc = cloneDeep(_newDoc);
+        });
+      } catch(e) {
+        this.doc = previousDoc;
+        throw e;
+      }
 
       await this._bind(created.ref);
 
@@ -84,16 +199,41 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
     /**
      * Fetch the firebase document by its id
      * @param {String} id
+     * @param { Object } [options]
+     * @param { String } [options.mode] - 'realtime' to keep listening to the document or 'once' to read it
+     * a single time, defaults to the mode store option
+     * @param { Function } [options.onError] - called with errors reading or listening to the document
      * @return {Object} the firebase document data
      */
-    async $fetch(id) {
-      const getLocalItem = getLocalStorageHandlers(localStorageFallbackKey)?.get;
+    async $fetch(id, { mode = defaultMode, onError } = {}) {
+      const persistence = this._getPersistence();
+      const once = mode === 'once';
+
+      this._mode.doc = mode;
 
-      if (this.id === id && !getLocalItem) return this.$state.doc;
+      // The path template is still waiting for params or a signed in user
+      if (!this._collectionPath) {
+        this._deferBinding({ docId: id });
+        return this.doc;
+      }
+
+      if (this.doc.__id === id && !persistence) {
+        // Server rendered documents only need their listener attaching, without refetching
+        if (isClient && this._serverRendered.doc === id) {
+          this._serverRendered.doc = null;
+          if (!once) {
+            this._bind(await this.$getRef(id));
+          }
+          return this.$state.doc;
+        }
+
+        if (this.$getBindings().some(({ name }) => name === 'doc')) return this.$state.doc;
+      }
 
       this.isFetching = true;
 
-      this.doc = docSchema ? docSchema.getDefault() : {};
+      this._clearHistory();
+      this.doc = this._getSchema()?.getDefault() || {};
 
       const docFromCollection = this.$getDoc?.(id);
 
@@ -101,21 +241,30 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
         Object.assign(this.doc, docFromCollection);
       }
 
-      const docRef = await this.$getRef(id);
+      if (persistence) {
+        const storedDoc = await persistence.get(this._getPersistenceKey(id));
 
-      if (!isClient && !getLocalItem) {
-        return getDoc(docRef).then(doc => doc.data());
-      }
+        if (storedDoc) {
+          this.doc = storedDoc;
+        }
 
-      if (getLocalItem) {
-        this.doc = getLocalItem(localStorageFallbackKey);
+        this._setServerDoc(this.doc);
+        this.isFetching = false;
         return this.doc;
       }
 
-      const docData = await this._bind(docRef)
+      const docRef = await this.$getRef(id);
+
+      const docData = await this._bind(docRef, { once, onError })
+
+      this.isFetching = false;
+
+      if (!isClient && docData) {
+        this._serverRendered.doc = id;
+      }
 
       if (!docData && ensureExists) {
-        await setDoc(docRef, this.doc)
+        await setDoc(docRef, this._getConverter().write(this.doc))
       }
 
       return docData;
@@ -126,34 +275,227 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
      * @param { String } path
      * @param { * } value
      * @param { Boolean } [shouldSync]
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - sync in the $batch or $transaction it was passed to
      * @return {Boolean}
      */
-    async $update(path, value, shouldSync) {
-      return this._update(this.doc, path, value, shouldSync);
+    async $update(path, value, shouldSync, { tx } = {}) {
+      const context = getWriteContext(tx, this._getDb());
+
+      return this._update(this.doc, path, value, shouldSync || Boolean(context), context);
     },
 
     /**
      * Delete the current document
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - delete in the $batch or $transaction it was passed to
      * @return { Boolean }
      */
-    async $delete() {
+    async $delete({ tx } = {}) {
+      const persistence = this._getPersistence();
+
+      if (persistence) {
+        await persistence.remove(this._getPersistenceKey(this.doc.__id));
+        this._reset();
+        return true;
+      }
+
+      const context = getWriteContext(tx, this._getDb());
       const docRef = await this.$getRef();
 
-      unbind(this, docRef);
+      // Inside $batch / $transaction the document is only unbound once the delete has been committed
+      if (context) {
+        await deleteDocument(docRef, context);
+        context.onCommit(() => this._unbind());
+        return true;
+      }
+
+      unbind(this, 'doc');
+      this._unbindSubcollections();
 
-      await deleteDoc(docRef);
+      await deleteDocument(docRef);
 
-      this.$reset();
+      this._reset();
       return true;
     },
 
     /**
      * Save the local document data to the database
-     * @param {String | Array} keys
+     * @param {String | Array} [keys] - defaults to the dirty paths
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - sync in the $batch or $transaction it was passed to
      * @return {Boolean}
      */
-    async $sync(keys) {
-      return this._sync(this.doc, keys);
+    async $sync(keys, { tx } = {}) {
+      const keysToSync = keys || this.$dirtyPaths;
+
+      if (!keysToSync.length) return false;
+
+      const synced = await this._sync(this.doc, keysToSync, getWriteContext(tx, this._getDb()));
+
+      if (synced === false) return false;
+
+      castArray(keysToSync).forEach((key) => set(this._serverDoc, key, cloneDeep(get(this.doc, key))));
+
+      return synced;
+    },
+
+    /**
+     * Restore the last saved value of a path, or of every dirty path
+     * @param { String } [path]
+     */
+    $revert(path) {
+      if (!this._serverDoc) return;
+
+      const paths = path ? [path] : this.$dirtyPaths;
+
+      paths.forEach((pathToRevert) => {
+        if (has(this._serverDoc, pathToRevert)) {
+          set(this.doc, pathToRevert, cloneDeep(get(this._serverDoc, pathToRevert)));
+        } else {
+          unset(this.doc, pathToRevert);
+        }
+      });
+    },
+
+    /**
+     * Undo the last change made with $update and friends, syncing the previous values to the database
+     * @return { Boolean } whether a change was undone, false if there was none or its values are invalid or failed to sync
+     */
+    async $undo() {
+      return this._applyHistory('undo', 'redo', 'before');
+    },
+
+    /**
+     * Redo the last undone change, syncing the values to the database
+     * @return { Boolean } whether a change was redone, false if there was none or its values are invalid or failed to sync
+     */
+    async $redo() {
+      return this._applyHistory('redo', 'undo', 'after');
+    },
+
+    /**
+     * Record all the changes made in the callback as a single history entry
+     * @param { Function } fn
+     * @return { * } the callback's return value
+     */
+    async $historyGroup(fn) {
+      // Nested groups are merged into the outer one
+      if (this._history.group) return fn();
+
+      this._history.group = [];
+
+      try {
+        return await fn();
+      } finally {
+        const changes = this._history.group;
+        this._history.group = null;
+
+        if (changes.length) this._pushHistory(changes);
+      }
+    },
+
+    _recordHistory(path, before, after) {
+      if (!history) return;
+
+      const change = { path, before: cloneDeep(before), after: cloneDeep(after) };
+
+      if (this._history.group) {
+        this._history.group.push(change);
+      } else {
+        this._pushHistory([change]);
+      }
+    },
+
+    _pushHistory(changes) {
+      this._history.undo.push(changes);
+      this._history.redo = [];
+
+      if (this._history.undo.length > historyLimit) {
+        this._history.undo.shift();
+      }
+    },
+
+    _clearHistory() {
+      this._history.undo = [];
+      this._history.redo = [];
+    },
+
+    /**
+     * Move the last entry from one history stack to the other, setting and syncing its values
+     * @param { String } from - 'undo' or 'redo'
+     * @param { String } to
+     * @param { String } valueKey - which value of each change to set, 'before' or 'after'
+     * @return { Boolean }
+     * @private
+     */
+    async _applyHistory(from, to, valueKey) {
+      const changes = this._history[from].pop();
+
+      if (!changes) return false;
+
+      const isUndo = (valueKey === 'before');
+      // Changes are undone in the reverse order to which they were made
+      const orderedChanges = isUndo ? [...changes].reverse() : changes;
+      const previousKey = isUndo ? 'after' : 'before';
+      const paths = changes.map(({ path }) => path);
+      const restore = () => {
+        [...orderedChanges].reverse().forEach((change) => set(this.doc, change.path, cloneDeep(change[previousKey])));
+        this._history[from].push(changes);
+      };
+
+      // Validate the values on a copy first, every path is validated so that all their errors are recorded
+      const validated = cloneDeep(this.doc);
+      orderedChanges.forEach((change) => set(validated, change.path, cloneDeep(change[valueKey])));
+      const validPaths = paths.filter((path) => this._validate(validated, path, get(validated, path)));
+
+      if (validPaths.length < paths.length) {
+        this._history[from].push(changes);
+        return false;
+      }
+
+      orderedChanges.forEach((change) => set(this.doc, change.path, cloneDeep(change[valueKey])));
+
+      let synced;
+
+      try {
+        synced = await this.$sync(paths);
+      } catch(e) {
+        restore();
+        throw e;
+      }
+
+      if (synced === false) {
+        restore();
+        return false;
+      }
+
+      this._history[to].push(changes);
+
+      return true;
+    },
+
+    /**
+     * Validate the whole document, replacing the previous errors
+     * @return { Object } error messages keyed by path, empty if the document is valid
+     */
+    $validate() {
+      this._errors = {};
+      return this._validateDoc(this.doc);
+    },
+
+    _setServerDoc(doc) {
+      this._serverDoc = cloneDeep(omit(doc, '__metadata'));
+    },
+
+    /**
+     * Write any changes waiting for the autoSync debounce straight away, e.g. before leaving a route
+     * @return { Boolean } whether there were changes to write
+     */
+    async $flush() {
+      if (!this._autoSync) return false;
+
+      return this._autoSync.flush();
     },
 
     /**
@@ -161,9 +503,10 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
      * @param { String } path
      * @param { Function } cb
      * @param shouldSync
+     * @param { Object } [options] - see $update
      * @return {Boolean|boolean|void}
      */
-    async $arrayUpdate(path, cb, shouldSync = true) {
+    async $arrayUpdate(path, cb, shouldSync = true, options = {}) {
       const value = get(this.doc, path);
 
       if (!isArray(value)) {
@@ -178,7 +521,7 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
         return false;
       }
 
-      return this.$update(path, newVal, shouldSync);
+      return this.$update(path, newVal, shouldSync, options);
     },
 
     /**
@@ -186,13 +529,15 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
      * @param { String }path
      * @param { * }value
      * @param { Boolean } shouldSync
+     * @param { Object } [options] - see $update
      * @return { Boolean }
      */
-    $arrayUnion(path, value, shouldSync) {
+    $arrayUnion(path, value, shouldSync, options) {
       return this.$arrayUpdate(
         path,
         (array) => ((array.includes(value)) ? array : [...array, value]),
         shouldSync,
+        options,
       );
     },
 
@@ -201,13 +546,15 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
      * @param { String } path
      * @param { * } value
      * @param { Boolean } shouldSync
+     * @param { Object } [options] - see $update
      * @return { Boolean }
      */
-    $arrayRemove(path, value, shouldSync) {
+    $arrayRemove(path, value, shouldSync, options) {
       return this.$arrayUpdate(
         path,
         (array) => array.filter((val) => val !== value),
         shouldSync,
+        options,
       );
     },
 
@@ -216,13 +563,15 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
      * @param { String } path
      * @param { Number } index
      * @param { Boolean } shouldSync
+     * @param { Object } [options] - see $update
      * @return { Boolean }
      */
-    $arrayRemoveIndex(path, index, shouldSync) {
+    $arrayRemoveIndex(path, index, shouldSync, options) {
       return this.$arrayUpdate(
         path,
         (array) => array.filter((val, i) => i !== index),
         shouldSync,
+        options,
       );
     },
 
@@ -232,203 +581,1223 @@ function createDocActions(docSchema, ensureExists, localStorageFallbackKey) {
      * @param { Number } index
      * @param { * } newItem
      * @param { Boolean } shouldSync
+     * @param { Object } [options] - see $update
      * @return { Boolean }
      */
-    $arrayUpdateItem(path, index, newItem, shouldSync) {
+    $arrayUpdateItem(path, index, newItem, shouldSync, options) {
       return this.$arrayUpdate(
         path,
         (array) => array.map((item, i) => ((i === index) ? newItem : item)),
         shouldSync,
+        options,
       );
     },
   };
 }
 
-function createCollectionActions() {
+/**
+ * Add a write to the devtools timeline, once it has been committed if it is part of a batch or transaction
+ * @param { Object | null } context - see getWriteContext
+ * @param { ...* } args - see recordEvent
+ */
+function recordWrite(context, ...args) {
+  if (context) {
+    context.onCommit(() => recordEvent(...args));
+    return;
+  }
+
+  recordEvent(...args);
+}
+
+/**
+ * Aggregate documents that are only stored locally
+ * @param { Array } docs
+ * @param { String } type - count, sum or average
+ * @param { String } [field]
+ * @return { Number | null }
+ */
+function aggregateDocs(docs, type, field) {
+  if (type === 'count') return docs.length;
+
+  const values = docs.map((item) => get(item, field)).filter((value) => typeof value === 'number');
+  const total = values.reduce((all, value) => all + value, 0);
+
+  if (type === 'sum') return total;
+
+  return values.length ? total / values.length : null;
+}
+
+function createCollectionActions(collectionName, defaultMode, validateOnWrite) {
   return {
-    _getQueryArgs() {
-      const queryArgs = [];
+    /**
+     * Build the query constraints from the query state
+     * @param { Boolean } [includeStart] - whether to apply the startAt cursor, which later pages replace
+     * @return { Array }
+     */
+    _getQueryArgs(includeStart = true) {
+      const filters = getFilters(this.query.where);
+      const hasCompositeFilter = filters.some(({ type }) => type === 'or' || type === 'and');
+
+      // Composite filters can't be mixed with plain where constraints so everything is combined into one
+      const queryArgs = hasCompositeFilter ? [and(...filters)] : filters;
+
+      queryArgs.push(...getOrderings(this.query.orderBy, this.query.dir));
+
+      if (includeStart && this.query.startAt !== undefined) {
+        queryArgs.push(startAt(...castArray(this.query.startAt)));
+      }
 
-      if (this.query.orderBy) {
-        const dir = this.query.dir || 'asc';
-        queryArgs.push(orderBy(this.query.orderBy, dir));
+      if (this.query.endBefore !== undefined) {
+        queryArgs.push(endBefore(...castArray(this.query.endBefore)));
       }
 
-      if (this.query.where) {
-        queryArgs.push(where(...this.query.where));
+      if (this.query.limitToLast) {
+        queryArgs.push(limitToLast(this.query.limitToLast));
       }
 
       return queryArgs;
     },
-    async $query() {
-      this.isFetching = true;
 
-      const ref = collection(getFirestore(), this._collectionPath);
-      const queryArgs = [ref, ...this._getQueryArgs()];
+    /**
+     * Re-bind the collection whenever the query state changes. The last bound query is kept to tell changes
+     * from queries $query has already bound
+     * @private
+     */
+    _watchQuery() {
+      if (this._queryWatcher) {
+        this._queryWatcher.query = cloneDeep(this.query);
+        return;
+      }
 
-      const querySnapshot = query(...queryArgs);
+      const newWatcher = markRaw({ query: cloneDeep(this.query), stop: null });
 
-      const docs = await bind(this, 'collection', querySnapshot).catch(logger.error);
+      this._queryWatcher = newWatcher;
 
-      this.isFetching = false;
+      // Detached so the watcher isn't stopped with the component that called $query
+      const scope = effectScope(true);
 
-      return docs;
-    },
-    async $addDoc(data, beforeCreate) {
-      return this._create(data, beforeCreate);
-    },
-    $deleteDoc(id) {
-      return this._delete(id).catch(logger.error);
-    },
-    $getDoc(id) {
-      return this.collection.find((item) => item.__id === id);
+      scope.run(() => {
+        watch(() => this.query, () => {
+          // $query may already have been called with the new query, or the collection is no longer bound
+          if (isEqual(this.query, newWatcher.query) || !getPages(this).length) return;
+
+          this.$query({ mode: this._mode.collection });
+        }, { deep: true });
+      });
+
+      newWatcher.stop = () => scope.stop();
     },
-    async $updateDoc(id, path, value) {
-      const collectionItem = this.$getDoc(id);
 
-      // Perform optimistic update for better UX
-      if (collectionItem) {
-        this._update(collectionItem, path, value);
+    _stopWatchingQuery() {
+      this._queryWatcher?.stop();
+      this._queryWatcher = null;
+    },
+    /**
+     * Bind the collection to the current query. If `query.limit` is set only the first page is bound.
+     * The collection is re-bound whenever the query state changes
+     * @param { Object } [options]
+     * @param { Boolean } [options.group] - query every collection with the store's collection id,
+     * defaults to the collectionGroup store option. Kept for later queries
+     * @param { String } [options.mode] - 'realtime' to keep listening to the query or 'once' to read it a single time,
+     * defaults to the mode store option. Query changes and later pages are read the same way
+     * @param { Function } [options.onError] - called with errors reading or listening to the first page
+     * @return { Array } the collection documents
+     */
+    async $query({ group, mode = defaultMode, onError } = {}) {
+      if (group !== undefined) {
+        this._isGroupQuery = group;
       }
 
-      // TODO: update db only
-      const patch = { [path]: value };
-      return this._updateDoc(id, patch);
-    },
-  };
-}
+      this._mode.collection = mode;
 
-export default function defineFirebaseStore(options) {
-  const {
-    id,
-    state,
-    actions,
-    getters,
-    collectionName,
-    docSchema,
-    useCollection,
-    useDoc,
-    localStorageFallbackKey,
-    ensureExists,
-    initialize,
-  } = options;
+      // The path template is still waiting for params or a signed in user
+      if (!this._collectionPath && !this._isGroupQuery) {
+        this._deferBinding({ query: true });
+        return this.collection;
+      }
 
-  if (!id) {
-    return logger.error('Can\'t create a store without an id');
-  }
+      if (this._getPersistence()) {
+        return this._queryPersistence();
+      }
 
-  // Store defaults to using both doc and collection actions
-  // option must be explicitly disabled on each
-  const collectionActions = useCollection === false ? {} : createCollectionActions(collectionName);
-  const docActions = useDoc === false ? {} : createDocActions(docSchema, ensureExists, localStorageFallbackKey);
+      if (isClient && this._serverRendered.collection) {
+        return this._hydrateCollection();
+      }
 
-  return () => {
-    const localStorageHandlers = getLocalStorageHandlers(localStorageFallbackKey);
+      this.isFetching = true;
 
-    const useStore = defineStore(id, {
-      __piniafire: true,
-      state: () => {
-        const userState = (typeof state === 'function') ? state() : state || {};
+      this.$resetPagination();
 
-        return {
-          _collectionPath: collectionName,
-          _initializedState: UNINITIALIZED,
-          isInitialized: false,
-          isFetching: false,
-          collection: [],
-          query: {},
-          doc: docSchema?.getDefaultFromShape() || {},
-          ...userState,
-        };
-      },
-      actions: {
-        ...actions,
-        ...docActions,
-        ...collectionActions,
+      if (isClient) {
+        this._watchQuery();
+      }
 
-        async _getRef(id) {
-          return doc(getFirestore(), this._collectionPath, id);
-        },
+      const docs = await this._bindPage(null, { once: mode === 'once', onError });
 
-        /**
-         * Create a piniafire document and return a promise that resolves with its ref
-         * @param { object} [data] - data for the new document
-         * @param { function } beforeCreate - a callback to be fired before the document is created in the firestore
-         * so that any optimistic updates can be performed with the new document data
-         * @return { id: string, data: object, ref: DocumentReference }
-         * @private
-         */
-        async _create(data, beforeCreate) {
-          const newData = docSchema?.cast(data, { stripUnknown: true }) || data || {};
-          const appendData = this._appendToCreated();
-          const mergedData = { ...newData, ...appendData };
-          const { id, ...newDoc } = mergedData;
+      this.isFetching = false;
 
-          beforeCreate?.(newDoc);
+      if (!isClient) {
+        this._serverRendered.collection = true;
+      }
 
-          if (localStorageHandlers) {
-            return localStorageHandlers.set(newDoc)
-          }
+      return docs;
+    },
 
-          if (id) {
-            const path = `${this._collectionPath}/${data.id}`;
-            const docRef = doc(getFirestore(), path);
-            await setDoc(docRef, newDoc);
-            return { id, data: omit(newDoc, id), ref: docRef };
-          }
-          const collectionRef = collection(getFirestore(), this._collectionPath);
-          const newRef = await addDoc(collectionRef, newDoc);
-          return { id: newRef.id, data: newDoc, ref: newRef };
-        },
+    /**
+     * Load the collection from the persistence adapter. Persisted collections aren't filtered, ordered or paginated
+     * @return { Array } the collection documents
+     * @private
+     */
+    async _queryPersistence() {
+      const storedDocs = await this._getPersistedDocs();
 
-        async _update(object, path, value, shouldSync) {
-          if (!has(object, path)) {
-            throw new Error(`Cannot update store: invalid document path: ${path}`);
-          }
+      this.$resetPagination();
 
-          const existingValue = this.$get(path);
-          const valueHasChanged = !isEqual(existingValue, value);
+      storedDocs.forEach((item) => this._addToCollection(item));
 
-          if (!valueHasChanged) return false;
+      return this.collection;
+    },
 
-          try {
-            // validate a cloned object first to avoid mutating reactive properties
-            // const cloned = cloneDeep(object);
-            // set(cloned, path, value);
-            const cloned = cloneDeep(object);
-            set(cloned, path, value);
-            docSchema?.validateSyncAt(path, cloned);
-            set(object, path, value);
-            this._onValidationSuccess(path);
-            shouldSync && await this.$sync(path);
-            return true;
-          } catch(e) {
-            logger.error(e.message);
-            this._onValidationError(path, e.message);
-            return false;
-          }
-        },
+    _addToCollection(item) {
+      item.__index = this.collection.length;
+      this.collection.push(item);
+      this.collection[item.__id] = item;
+    },
 
-        async _sync(docData, keys) {
-          const keysToSync = typeof keys === 'string' ? [keys] : keys;
+    /**
+     * Attach the first page listener to a server rendered collection without clearing it first
+     * @return { Array } the collection documents
+     * @private
+     */
+    async _hydrateCollection() {
+      this._serverRendered.collection = false;
 
-          const patch = keysToSync.reduce((all, key) => ({ ...all, [key]: get(docData, key) }), {});
+      // Serialization drops the documents keyed by id
+      this.collection.forEach((item) => {
+        this.collection[item.__id] = item;
+      });
+      getPages(this).forEach((page) => unbind(this, page.name));
+      getPages(this).splice(0);
+      this._watchQuery();
+
+      // One-off reads already have the server's data
+      if (this._mode.collection === 'once') return this.collection;
+
+      await this._bindPage();
+
+      // Documents from the snapshot have metadata, any others were deleted since the server render
+      this.collection
+        .filter((item) => !item.__metadata)
+        .forEach((item) => {
+          this.collection.splice(this.collection.indexOf(item), 1);
+          delete this.collection[item.__id];
+        });
+      this.collection.forEach((item, index) => {
+        item.__index = index;
+      });
 
-          const dataToSync = Object.keys(patch).length > 0 ? patch : docData;
+      return this.collection;
+    },
 
-          if (localStorageHandlers) {
-            const dataToStore = reduce(dataToSync, (data, value, key) => {
-              set(data, key, value);
-              return data;
-            }, docData);
+    /**
+     * Bind the next page of a paginated query, starting after the last document of the current last page.
+     * Previously loaded pages stay bound
+     * @return { Array } the collection documents
+     */
+    async $loadMore() {
+      const pages = getPages(this);
 
-            return localStorageHandlers.set(dataToStore);
-          }
+      if (!pages.length) {
+        return this.$query({ mode: this._mode.collection || defaultMode });
+      }
 
-          return this._updateDoc(docData.__id, dataToSync);
-        },
+      if (!this.$hasMore) return this.collection;
+
+      const { cursor } = pages[pages.length - 1];
+
+      this.isFetching = true;
+
+      const docs = await this._bindPage(cursor, { once: this._mode.collection === 'once' });
+
+      this.isFetching = false;
+
+      return docs;
+    },
+
+    /**
+     * Unbind all loaded pages and clear the collection. Query changes no longer re-bind the collection
+     */
+    $resetPagination() {
+      this._unbindPages();
+
+      this.collection = [];
+    },
+
+    /**
+     * Stop listening to the collection pages, keeping the documents already loaded
+     * @private
+     */
+    _unbindPages() {
+      const pages = getPages(this);
+
+      this._stopWatchingQuery();
+      pages.forEach((page) => unbind(this, page.name));
+      pages.splice(0);
+
+      this._hasMore = false;
+    },
+
+    _bindPage(cursor, { once = false, onError } = {}) {
+      const pages = getPages(this);
+      const pageSize = this.query.limit;
+      const pageIndex = pages.length;
+      const page = { name: `page:${pageIndex}`, size: 0, cursor: null };
+      const queryArgs = [this._getCollectionRef(), ...this._getQueryArgs(!cursor)];
+
+      if (cursor) {
+        queryArgs.push(startAfter(cursor));
+      }
+
+      if (pageSize) {
+        queryArgs.push(limit(pageSize));
+      }
+
+      pages.push(page);
+
+      return bind(this, 'collection', query(...queryArgs), {
+        name: page.name,
+        once: once || !isClient,
+        converter: this._getConverter(),
+        resolveRefs: this._getResolveRefs(),
+        gracePeriod: this._getGracePeriod(),
+        // Earlier pages may grow or shrink so the offset is worked out for every snapshot
+        offset: () => pages.slice(0, pages.indexOf(page)).reduce((total, { size }) => total + size, 0),
+        onError: (error) => {
+          this._onBindError(page.name, error);
+          onError?.(error);
+        },
+        afterUpdate: (docs, querySnapshot) => {
+          recordSnapshot(this.$id, page.name, querySnapshot);
+          page.size = querySnapshot.size;
+          page.cursor = querySnapshot.docs[querySnapshot.size - 1] || page.cursor;
+
+          if (page !== pages[pages.length - 1] && querySnapshot.docChanges().some(({ type }) => type !== 'modified')) {
+            this._rebindPagesAfter(page);
+          }
+
+          if (page === pages[pages.length - 1]) {
+            this._hasMore = Boolean(pageSize) && querySnapshot.size >= pageSize;
+          }
+
+          this._refreshAggregations(querySnapshot.docChanges());
+        },
+      }).catch((error) => {
+        // Pages that failed to load can be loaded again
+        const index = pages.indexOf(page);
+        if (index !== -1) pages.splice(index, 1);
+
+        logger.error(error);
+      });
+    },
+
+    /**
+     * Bind the pages after the given page again, starting after its new last document. Pages start after the last
+     * document of the page before them, so documents entering or leaving a page would otherwise be listed by two
+     * pages or by none
+     * @param { Object } page
+     * @private
+     */
+    async _rebindPagesAfter(page) {
+      const pages = getPages(this);
+      const laterPages = pages.splice(pages.indexOf(page) + 1);
+      const start = pages.reduce((total, { size }) => total + size, 0);
+      // A later change to the page starts over
+      const rebind = {};
+
+      page.rebind = rebind;
+      laterPages.forEach(({ name }) => unbind(this, name));
+      this.collection.splice(start).forEach((item) => {
+        if (this.collection[item.__id] === item) {
+          delete this.collection[item.__id];
+        }
+      });
+      this.collection.forEach((item, index) => {
+        item.__index = index;
+      });
+      this._hasMore = Boolean(this.query.limit) && page.size >= this.query.limit;
+
+      for (let i = 0; i < laterPages.length && this._hasMore && page.rebind === rebind; i += 1) {
+        await this._bindPage(pages[pages.length - 1].cursor);
+      }
+    },
+
+    _getCollectionRef() {
+      // Collection groups are all the collections with the same id, wherever they are nested
+      if (this._isGroupQuery) {
+        return collectionGroup(this._getDb(), (this._collectionPath || collectionName).split('/').pop());
+      }
+
+      return collection(this._getDb(), this._collectionPath);
+    },
+
+    /**
+     * Count the documents matching the query filters on the server, without reading them
+     * @param { Object } [options]
+     * @param { Boolean } [options.live] - count again whenever documents are added to or removed from the bound collection
+     * @return { Promise<Number | null> } also kept in `$aggregations.count`
+     */
+    async $count({ live } = {}) {
+      return this._aggregate('count', null, live);
+    },
+
+    /**
+     * Sum a field of the documents matching the query filters on the server
+     * @param { String } field
+     * @param { Object } [options]
+     * @param { Boolean } [options.live] - sum again whenever the bound collection changes
+     * @return { Promise<Number | null> } also kept in `$aggregations.sum[field]`
+     */
+    async $sum(field, { live } = {}) {
+      return this._aggregate('sum', field, live);
+    },
+
+    /**
+     * Average a field of the documents matching the query filters on the server
+     * @param { String } field
+     * @param { Object } [options]
+     * @param { Boolean } [options.live] - average again whenever the bound collection changes
+     * @return { Promise<Number | null> } also kept in `$aggregations.average[field]`
+     */
+    async $average(field, { live } = {}) {
+      return this._aggregate('average', field, live);
+    },
+
+    async _aggregate(type, field, live) {
+      // Refreshed when the bound collection changes
+      if (live) {
+        this._liveAggregations = markRaw({ ...this._liveAggregations, [`${type}:${field}`]: { type, field } });
+      }
+
+      // The path template is still waiting for params or a signed in user
+      if (!this._collectionPath && !this._isGroupQuery) return null;
+
+      let value;
+
+      try {
+        value = this._getPersistence()
+          ? aggregateDocs(await this._getPersistedDocs(), type, field)
+          : await this._aggregateOnServer(type, field);
+      } catch(e) {
+        logger.error(`Cannot get the ${type} of ${this._collectionPath}`, e);
+        return null;
+      }
+
+      if (type === 'count') {
+        this._aggregations.count = value;
+      } else {
+        this._aggregations[type][field] = value;
+      }
+
+      return value;
+    },
+
+    async _aggregateOnServer(type, field) {
+      const aggregateField = (type === 'count') ? count() : { sum, average }[type](field);
+      const snapshot = await getAggregateFromServer(
+        query(this._getCollectionRef(), ...this._getQueryArgs()),
+        { value: aggregateField },
+      );
+
+      return snapshot.data().value;
+    },
+
+    /**
+     * Refresh the live aggregations after the bound collection has changed
+     * @param { Array } changes - the document changes of the snapshot
+     * @private
+     */
+    _refreshAggregations(changes) {
+      const aggregations = Object.values(this._liveAggregations || {});
+      const hasAddedOrRemoved = changes.some(({ type }) => type !== 'modified');
+
+      if (!changes.length) return;
+
+      aggregations
+        // Counts don't change when documents are modified
+        .filter(({ type }) => type !== 'count' || hasAddedOrRemoved)
+        .forEach(({ type, field }) => this._aggregate(type, field));
+    },
+
+    /**
+     * Stop refreshing the live aggregations
+     * @private
+     */
+    _releaseAggregations() {
+      this._liveAggregations = null;
+    },
+    /**
+     * Add a document to the collection
+     * @param { Object } data
+     * @param { Function } [beforeCreate] - see _create
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - write in the $batch or $transaction it was passed to
+     * @return {{ id: String, data: Object, ref: DocumentReference }}
+     */
+    async $addDoc(data, beforeCreate, { tx } = {}) {
+      const created = await this._create(data, beforeCreate, getWriteContext(tx, this._getDb()));
+
+      // Persisted documents don't have a listener to add them to the collection
+      if (!created.ref) {
+        this._addToCollection(created.data);
+      }
+
+      return created;
+    },
+    /**
+     * Delete a document, removing it from the collection straight away and restoring it if the delete fails
+     * @param { String } id
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - delete in the $batch or $transaction it was passed to, the
+     * document is then only removed from the collection once the delete has been committed
+     * @return { Promise }
+     */
+    async $deleteDoc(id, { tx } = {}) {
+      const collectionItem = this.$getDoc(id);
+      const index = this.collection.indexOf(collectionItem);
+      // Documents from collection group queries may not be in the store's collection path
+      const docPath = collectionItem?.__path || id;
+      const docId = collectionItem?.__id || id;
+      const removeItem = () => {
+        // The listener may already have removed it
+        const itemIndex = this.collection.indexOf(collectionItem);
+        if (itemIndex === -1) return;
+        this.collection.splice(itemIndex, 1);
+        delete this.collection[docId];
+      };
+      const context = getWriteContext(tx, this._getDb());
+
+      if (context) {
+        await this._delete(docPath, context);
+        context.onCommit(removeItem);
+        return;
+      }
+
+      removeItem();
+
+      try {
+        return await this._delete(docPath);
+      } catch(e) {
+        if (collectionItem && !this.$getDoc(id)) {
+          this.collection.splice(index, 0, collectionItem);
+          this.collection[docId] = collectionItem;
+        }
+        throw e;
+      }
+    },
+    /**
+     * Find a document in the collection
+     * @param { String } id - the document id, or its path for documents from collection group queries
+     * @return { Object | undefined }
+     */
+    $getDoc(id) {
+      return this.collection.find((item) => item.__id === id || item.__path === id);
+    },
+    /**
+     * Update a document of the collection
+     * @param { String } id
+     * @param { String } path
+     * @param { * } value
+     * @param { Object } [options]
+     * @param { WriteBatch | Transaction } [options.tx] - update in the $batch or $transaction it was passed to, the
+     * collection is then only updated once the update has been committed
+     * @return { Boolean }
+     */
+    async $updateDoc(id, path, value, { tx } = {}) {
+      const collectionItem = this.$getDoc(id);
+      const docPath = collectionItem?.__path || id;
+      const existingValue = cloneDeep(get(collectionItem, path));
+      // TODO: update db only
+      const patch = { [path]: value };
+      const context = getWriteContext(tx, this._getDb());
+
+      if (validateOnWrite && collectionItem && !this._validate(collectionItem, path, value)) return false;
+
+      if (context) {
+        await this._updateDoc(docPath, patch, context);
+
+        if (collectionItem) {
+          context.onCommit(() => set(collectionItem, path, value));
+        }
+
+        return true;
+      }
+
+      // Perform optimistic update for better UX
+      if (collectionItem) {
+        set(collectionItem, path, value);
+      }
+
+      try {
+        return await this._updateDoc(docPath, patch);
+      } catch(e) {
+        if (collectionItem) set(collectionItem, path, existingValue);
+        throw e;
+      }
+    },
+  };
+}
+
+function createDocGetters() {
+  return {
+    /**
+     * Paths of the doc that differ from the last saved version
+     * @return { Array }
+     */
+    $dirtyPaths: (state) => (state._serverDoc ? getChangedPaths(state._serverDoc, state.doc) : []),
+    $isDirty() {
+      return this.$dirtyPaths.length > 0;
+    },
+    $canUndo: (state) => state._history.undo.length > 0,
+    $canRedo: (state) => state._history.redo.length > 0,
+  };
+}
+
+function createCollectionGetters() {
+  return {
+    $hasMore: (state) => state._hasMore,
+    /**
+     * The last results of $count, $sum and $average
+     * @return {{ count: Number | null, sum: Object, average: Object }}
+     */
+    $aggregations: (state) => state._aggregations,
+  };
+}
+
+function createGetters() {
+  return {
+    /**
+     * Validation error messages keyed by path
+     * @return { Object }
+     */
+    $errors: (state) => state._errors,
+  };
+}
+
+export default function defineFirebaseStore(options) {
+  const {
+    id,
+    state,
+    actions,
+    getters,
+    collectionName,
+    docSchema,
+    useCollection,
+    useDoc,
+    localStorageFallbackKey,
+    persistence,
+    ensureExists,
+    initialize,
+    autoSync,
+    history,
+    converter,
+    schemaAdapter,
+    validateOnWrite = true,
+    subcollections = {},
+    resolveRefs,
+    collectionGroup: collectionGroupOption,
+    mode = 'realtime',
+  } = options;
+
+  if (!id) {
+    return logger.error('Can\'t create a store without an id');
+  }
+
+  // Store defaults to using both doc and collection actions
+  // option must be explicitly disabled on each
+  const collectionActions = useCollection === false ? {} : createCollectionActions(collectionName, mode, validateOnWrite);
+  const collectionGetters = useCollection === false ? {} : createCollectionGetters();
+  const docGetters = useDoc === false ? {} : createDocGetters();
+  const dataConverter = createConverter(converter);
+
+  // Each subcollection is a collection store of its own, bound under the current doc
+  const subcollectionStores = mapValues(subcollections, (subcollection, name) => defineFirebaseStore({
+    db: options.db,
+    ...subcollection,
+    id: `${id}/${name}`,
+    useDoc: false,
+    state: () => ({
+      query: cloneDeep(subcollection.query || {}),
+    }),
+  }));
+  const schemas = new Map();
+  const docActions = useDoc === false ? {} : createDocActions(ensureExists, history, mode);
+  // Stores with a {uid} path template belong to the signed in user
+  const usesAuth = Boolean(collectionName?.includes('{uid}'));
+  const persistenceAdapter = createPersistenceAdapter(persistence)
+    // The legacy option keeps a single document under the given localStorage key
+    || (localStorageFallbackKey ? localStorageAdapter({ prefix: '' }) : null);
+
+  return (pinia) => {
+    const useStore = defineStore(id, {
+      __piniafire: true,
+      state: () => {
+        const userState = (typeof state === 'function') ? state() : state || {};
+
+        return {
+          // Path templates are filled in once their values are known
+          _collectionPath: isPathTemplate(collectionName) ? null : collectionName,
+          _params: {},
+          _initializedState: UNINITIALIZED,
+          _hasMore: false,
+          _isGroupQuery: Boolean(collectionGroupOption),
+          _errors: {},
+          _serverDoc: null,
+          _history: { undo: [], redo: [], group: null },
+          // What was fetched during server side rendering, so the client can attach listeners without refetching
+          _serverRendered: { doc: null, collection: false },
+          // The mode of the last $fetch and $query, so they can be refreshed and paginated the same way
+          _mode: { doc: null, collection: null },
+          isInitialized: false,
+          isFetching: false,
+          collection: [],
+          query: {},
+          _aggregations: { count: null, sum: {}, average: {} },
+          // Filled in with the schema defaults by the plugin
+          doc: {},
+          ...userState,
+        };
+      },
+      actions: {
+        ...actions,
+        ...docActions,
+        ...collectionActions,
+
+        /**
+         * The Firestore instance used by the store: the `db` store option if given, otherwise the plugin's `db`
+         * @return { Firestore }
+         * @private
+         */
+        _getDb() {
+          return options.db || this._db;
+        },
+
+        /**
+         * The docSchema wrapped in the store's schemaAdapter, or the plugin's, or one detected from the schema
+         * @return { Object | null }
+         * @private
+         */
+        _getSchema() {
+          const adapter = schemaAdapter || this._globalOptions?.schemaAdapter;
+
+          if (!schemas.has(adapter)) {
+            schemas.set(adapter, createSchemaAdapter(docSchema, adapter));
+          }
+
+          return schemas.get(adapter);
+        },
+
+        /**
+         * Read and write functions for converting between document data and Firestore data
+         * @return {{ read: Function, write: Function }}
+         * @private
+         */
+        _getConverter() {
+          if (!resolveRefs) return dataConverter;
+
+          return {
+            read: dataConverter.read,
+            write: (data) => dataConverter.write(unresolveRefs(this._getDb(), data)),
+          };
+        },
+
+        _getResolveRefs() {
+          return resolveRefs;
+        },
+
+        /**
+         * Milliseconds to keep a shared listener after the store stops using it, from the listenerGracePeriod
+         * store or plugin option
+         * @return { Number }
+         * @private
+         */
+        _getGracePeriod() {
+          return options.listenerGracePeriod ?? this._globalOptions?.listenerGracePeriod ?? 0;
+        },
+
+        _startAutoSync() {
+          if (!autoSync || this._autoSync) return;
+
+          this._autoSync = markRaw(createAutoSync(this, autoSync === true ? {} : autoSync));
+        },
+
+        /**
+         * Stop watching the document for changes, writing any changes waiting for the debounce
+         * @private
+         */
+        _stopAutoSync() {
+          if (!this._autoSync) return;
+
+          this._autoSync.stop();
+          this._autoSync = null;
+        },
+
+        /**
+         * The persistence adapter, which is used instead of Firestore while no user is signed in
+         * @return { Object | null }
+         * @private
+         */
+        _getPersistence() {
+          if (!persistenceAdapter || this._getAuth()?.currentUser) return null;
+
+          return persistenceAdapter;
+        },
+
+        /**
+         * The documents of the store's collection in the persistence adapter
+         * @return { Promise<Array> }
+         * @private
+         */
+        async _getPersistedDocs(collectionPath = this._collectionPath) {
+          if (!persistence && localStorageFallbackKey) {
+            const storedDoc = await persistenceAdapter.get(localStorageFallbackKey);
+            return storedDoc ? [storedDoc] : [];
+          }
+
+          const prefix = `${collectionPath}/`;
+          const storedDocs = await persistenceAdapter.list(prefix);
+
+          // Leave out documents of subcollections
+          return storedDocs.filter((item) => item.__path === `${prefix}${item.__id}`);
+        },
+
+        /**
+         * Run the initialize option, unless it has already been run since the store was last reset
+         * @private
+         */
+        _initialize() {
+          if (this.isInitialized || this._initializedState === INITIALIZING) return;
+
+          if (isClient) {
+            this._initializedState = INITIALIZING;
+          }
+
+          const onInitialized = () => {
+            if (!isClient) return;
+            this._initializedState = INITIALIZED;
+            this.isInitialized = true;
+          };
+
+          const returnVal = initialize?.call(this);
+
+          if (returnVal instanceof Promise) {
+            returnVal.then(onInitialized);
+          } else {
+            onInitialized();
+          }
+        },
+
+        /**
+         * The Auth instance from the store or plugin options, or the default one. Either option can be null to
+         * run the store without Firebase Auth
+         * @return { Auth | null }
+         * @private
+         */
+        _getAuth() {
+          if (options.auth !== undefined) return options.auth;
+
+          if (this._auth !== undefined) return this._auth;
+
+          return getAuth();
+        },
+
+        _watchAuth() {
+          const auth = this._getAuth();
+
+          if (!auth || this._authUnsub) return;
+
+          this._authUnsub = auth.onAuthStateChanged((user) => this._onAuthChanged(user));
+        },
+
+        /**
+         * Switch between the persistence adapter and Firestore when the user signs in or out
+         * @param { User | null } user
+         * @private
+         */
+        async _onAuthChanged(user) {
+          const uid = user?.uid || null;
+          const previousUid = this._authUid;
+
+          if (uid === previousUid) return;
+
+          this._authUid = uid;
+
+          // The previous user's data must not be left in the store
+          if (previousUid) {
+            // Per user stores bind the same documents for the next user
+            if (usesAuth) {
+              this._deferCurrentBindings();
+            }
+
+            this.$unbindAll();
+            this._reset();
+          }
+
+          this._resolveCollectionPath(uid);
+
+          if (!uid) return;
+
+          await this._migrateGuestData(this._getGuestPath());
+
+          if (usesAuth) {
+            this._initialize();
+            await this._runDeferredBindings();
+          }
+        },
+
+        /**
+         * Move the documents saved by the persistence adapter while signed out into Firestore and
+         * remove the local copies. The onSignInMigrate option sets how: 'merge' updates existing documents,
+         * 'overwrite' replaces them, a function is called with each local document and the store
+         * to write it itself, and false leaves the local documents where they are
+         * @param { String } [guestPath] - the collection path the documents were saved under
+         * @return { Promise<Object> } the Firestore ids of the migrated documents, keyed by their local ids
+         * @private
+         */
+        async _migrateGuestData(guestPath = this._collectionPath) {
+          const strategy = options.onSignInMigrate ?? this._globalOptions?.onSignInMigrate ?? 'merge';
+
+          if (!persistenceAdapter || !strategy) return {};
+
+          const guestDocs = await this._getPersistedDocs(guestPath);
+          const migratedIds = {};
+
+          await Promise.all(guestDocs.map(async(guestDoc) => {
+            const { __id: localId } = guestDoc;
+            const data = omitBy(guestDoc, (value, key) => key.startsWith('__'));
+
+            try {
+              if (isFunction(strategy)) {
+                await strategy(guestDoc, this);
+                migratedIds[localId] = localId;
+              } else {
+                const ref = localId && await this._getRef(localId);
+                const exists = strategy === 'merge' && ref && (await getDoc(ref)).exists();
+                const created = exists ? null : await this._create({ ...data, id: localId });
+
+                if (exists) await this._updateDoc(localId, data);
+
+                migratedIds[localId] = created ? created.id : localId;
+              }
+
+              await persistenceAdapter.remove(this._getPersistenceKey(localId, guestPath));
+            } catch(e) {
+              logger.error('Cannot migrate guest document', localId, e);
+            }
+          }));
+
+          const docId = migratedIds[this.doc?.__id];
+
+          if (docId) {
+            await this._bind(await this._getRef(docId), { once: this._mode.doc === 'once' });
+          }
+
+          if (this.$query && this.collection.length && !isEmpty(migratedIds)) {
+            await this.$query({ mode: this._mode.collection || mode });
+          }
+
+          return migratedIds;
+        },
+
+        _getPersistenceKey(id, collectionPath = this._collectionPath) {
+          if (!persistence && localStorageFallbackKey) return localStorageFallbackKey;
+
+          // Documents are stored under their path
+          if (id?.includes('/')) return id;
+
+          return `${collectionPath}/${id}`;
+        },
+
+        /**
+         * Reset the state, keeping the collection path that has been resolved or set
+         * @private
+         */
+        _reset() {
+          const { _collectionPath, _params } = this;
+
+          // Resetting the query state must not re-bind the collection
+          this._stopWatchingQuery?.();
+          this._releaseAggregations?.();
+          this.$reset();
+          this._collectionPath = _collectionPath;
+          this._params = _params;
+        },
+
+        /**
+         * Fill in the collection path template with the params and the given user
+         * @param { String | null } [uid] - defaults to the signed in user
+         * @private
+         */
+        _resolveCollectionPath(uid) {
+          if (!isPathTemplate(collectionName)) return;
+
+          // Only templates with {uid} need Firebase Auth
+          const userId = (uid === undefined && usesAuth) ? this._getAuth()?.currentUser?.uid : uid;
+          const path = resolvePath(collectionName, {
+            ...this._params,
+            uid: userId || (persistenceAdapter ? GUEST_UID : null),
+          });
+
+          if (path && path.split('/').length % 2 === 0) {
+            logger.error('Invalid collection path', path);
+            this._collectionPath = null;
+            return;
+          }
+
+          this._collectionPath = path;
+        },
+
+        /**
+         * The collection path used while signed out
+         * @return { String | null }
+         * @private
+         */
+        _getGuestPath() {
+          if (!isPathTemplate(collectionName)) return this._collectionPath;
+
+          return resolvePath(collectionName, { uid: GUEST_UID });
+        },
+
+        /**
+         * Remember what to bind once the collection path can be resolved
+         * @param {{ docId: String, query: Boolean }} binding
+         * @private
+         */
+        _deferBinding(binding) {
+          this._deferredBindings = { ...this._deferredBindings, ...binding };
+        },
+
+        /**
+         * Remember the bound query and document so they can be bound again on another path
+         * @private
+         */
+        _deferCurrentBindings() {
+          this._deferBinding({
+            query: getPages(this).length > 0,
+            // Documents read once have no listener to find them by
+            docId: (this._mode.doc === 'once')
+              ? this.doc?.__id
+              : this.$getBindings().find(({ name }) => name === 'doc')?.ref.id,
+          });
+        },
+
+        async _runDeferredBindings() {
+          const { docId, query: shouldQuery } = this._deferredBindings || {};
+
+          this._deferredBindings = null;
+
+          return Promise.all([
+            (shouldQuery && !getPages(this).length) ? this.$query({ mode: this._mode.collection || mode }) : null,
+            (docId && this.$fetch) ? this.$fetch(docId, { mode: this._mode.doc || mode }) : null,
+          ]);
+        },
+
+        /**
+         * @param { String } id - the document id, or the full path of a document in another collection
+         * @return { DocumentReference }
+         * @private
+         */
+        async _getRef(id) {
+          if (id?.includes('/')) return doc(this._getDb(), id);
+
+          return doc(this._getDb(), this._collectionPath, id);
+        },
+
+        /**
+         * Create a piniafire document and return a promise that resolves with its ref.
+         * Throws if the data is invalid, unless the validateOnWrite option is false
+         * @param { object} [data] - data for the new document
+         * @param { function } beforeCreate - a callback to be fired before the document is created in the firestore
+         * so that any optimistic updates can be performed with the new document data
+         * @param { Object } [context] - the batch or transaction to write in, see getWriteContext
+         * @return { id: string, data: object, ref: DocumentReference }
+         * @private
+         */
+        async _create(data, beforeCreate, context) {
+          const newData = this._getSchema()?.cast(data) || data || {};
+
+          const errors = validateOnWrite ? this._validateDoc(newData) : {};
+
+          if (!isEmpty(errors)) {
+            throw new Error(`Cannot create document: invalid ${Object.keys(errors).join(', ')}`);
+          }
+
+          const appendData = this._appendToCreated();
+          const mergedData = { ...newData, ...appendData };
+          // The schema may strip the id
+          const id = data?.id ?? mergedData.id;
+          const newDoc = omit(mergedData, 'id');
+          const persistence = this._getPersistence();
+
+          if (persistence) {
+            // Ids are generated locally so that documents keep them if they are moved to Firestore
+            const docId = id || doc(collection(this._getDb(), this._collectionPath)).id;
+            const storedDoc = { __id: docId, __path: `${this._collectionPath}/${docId}`, ...newDoc };
+
+            beforeCreate?.(storedDoc);
+            await persistence.set(this._getPersistenceKey(docId), storedDoc);
+            recordEvent(this.$id, 'create', { id: docId, data: storedDoc, persisted: true });
+
+            return { id: docId, data: storedDoc, ref: null };
+          }
+
+          beforeCreate?.(newDoc);
+
+          try {
+            const firestoreData = this._getConverter().write(newDoc);
+
+            if (id) {
+              const path = `${this._collectionPath}/${data.id}`;
+              const docRef = doc(this._getDb(), path);
+              await setDocument(docRef, firestoreData, context);
+              recordWrite(context, this.$id, 'create', { id, data: firestoreData });
+              return { id, data: omit(newDoc, id), ref: docRef };
+            }
+            const collectionRef = collection(this._getDb(), this._collectionPath);
+            const newRef = await addDocument(collectionRef, firestoreData, context);
+            recordWrite(context, this.$id, 'create', { id: newRef.id, data: firestoreData });
+            return { id: newRef.id, data: newDoc, ref: newRef };
+          } catch(e) {
+            this._onSyncError(e, { action: 'create', id, data: newDoc });
+            throw e;
+          }
+        },
+
+        /**
+         * Validate and set a value on a local object, optionally syncing it to the database.
+         * If the sync fails the previous value is restored, and any error rethrown
+         * @param { Object } object - the document data to update
+         * @param { String } path
+         * @param { * } value
+         * @param { Boolean } [shouldSync]
+         * @param { Object } [context] - the batch or transaction to sync in, see getWriteContext
+         * @return { Boolean } whether the value was updated
+         * @private
+         */
+        async _update(object, path, value, shouldSync, context) {
+          if (!has(object, path)) {
+            throw new Error(`Cannot update store: invalid document path: ${path}`);
+          }
+
+          const existingValue = cloneDeep(get(object, path));
+          const valueHasChanged = !isEqual(existingValue, value);
+
+          if (!valueHasChanged) return false;
+
+          if (!this._validate(object, path, value)) return false;
+
+          // Inside $batch / $transaction the value is only set locally once the writes have been committed
+          if (shouldSync && context) {
+            const synced = await this._sync(set(cloneDeep(object), path, value), path, context);
+
+            if (synced === false) return false;
+
+            context.onCommit(() => {
+              set(object, path, value);
+              if (object === this.doc) this._recordHistory?.(path, existingValue, value);
+            });
+            return true;
+          }
+
+          set(object, path, value);
+
+          if (shouldSync) {
+            let synced;
+
+            try {
+              synced = await this.$sync(path);
+            } catch(e) {
+              set(object, path, existingValue);
+              throw e;
+            }
+
+            if (synced === false) {
+              set(object, path, existingValue);
+              return false;
+            }
+          }
+
+          if (object === this.doc) this._recordHistory?.(path, existingValue, value);
+
+          return true;
+        },
+
+        /**
+         * Validate setting a value at the given path of an object without mutating it
+         * @param { Object } object
+         * @param { String } path
+         * @param { * } value
+         * @return { Boolean } whether the value is valid
+         * @private
+         */
+        _validate(object, path, value) {
+          // validate a cloned object first to avoid mutating reactive properties
+          const cloned = cloneDeep(object);
+          set(cloned, path, value);
+          const message = this._getSchema()?.validateAt(path, cloned);
+
+          if (message) {
+            logger.error(message);
+            this._onValidationError(path, message);
+            return false;
+          }
+
+          this._onValidationSuccess(path);
+          return true;
+        },
+
+        /**
+         * Write the given paths of the document data, validating them first unless the validateOnWrite option is
+         * false. The whole document is written, and validated, if there are no paths
+         * @param { Object } docData
+         * @param { String | Array } keys
+         * @param { Object } [context] - the batch or transaction to write in, see getWriteContext
+         * @return { Boolean } false if the data is invalid
+         * @private
+         */
+        async _sync(docData, keys, context) {
+          const keysToSync = castArray(keys);
+
+          if (validateOnWrite) {
+            const invalidKeys = keysToSync.length
+              ? keysToSync.filter((key) => !this._validate(docData, key, get(docData, key)))
+              : Object.keys(this._validateDoc(docData));
+
+            if (invalidKeys.length) {
+              logger.error(`Cannot sync: invalid ${invalidKeys.join(', ')}`);
+              return false;
+            }
+          }
+
+          const patch = keysToSync.reduce((all, key) => ({ ...all, [key]: get(docData, key) }), {});
+
+          const dataToSync = Object.keys(patch).length > 0 ? patch : docData;
+
+          return this._updateDoc(docData.__id, dataToSync, context);
+        },
+
+        async _updateDoc(id, data, context) {
+          const persistence = this._getPersistence();
+
+          if (persistence) {
+            const key = this._getPersistenceKey(id);
+            const storedDoc = (await persistence.get(key)) || {};
+
+            Object.entries(data).forEach(([path, value]) => set(storedDoc, path, cloneDeep(value)));
+            recordEvent(this.$id, 'update', { id, data, persisted: true });
+
+            return persistence.set(key, storedDoc);
+          }
 
-        async _updateDoc(id, data) {
           const ref = await this.$getRef(id);
 
           if (!ref) {
@@ -436,24 +1805,77 @@ export default function defineFirebaseStore(options) {
           }
 
           const appendData = this._appendToUpdated();
-          const patch = { ...data, ...appendData };
+          const patch = this._getConverter().write({ ...data, ...appendData });
 
-          await updateDoc(ref, patch).catch(logger.error);
+          try {
+            await updateDocument(ref, patch, context);
+            recordWrite(context, this.$id, 'update', { id, data: patch });
+          } catch(e) {
+            this._onSyncError(e, { action: 'update', id, data: patch });
+            throw e;
+          }
 
           return true;
         },
 
-        async _delete(id) {
+        async _delete(id, context) {
+          const persistence = this._getPersistence();
+
+          if (persistence) {
+            recordEvent(this.$id, 'delete', { id, persisted: true });
+            return persistence.remove(this._getPersistenceKey(id));
+          }
+
           const ref = await this._getRef(id);
 
-          return deleteDoc(ref);
+          try {
+            const result = await deleteDocument(ref, context);
+            recordWrite(context, this.$id, 'delete', { id });
+            return result;
+          } catch(e) {
+            this._onSyncError(e, { action: 'delete', id });
+            throw e;
+          }
+        },
+        /**
+         * Validate a whole document, recording any errors
+         * @param { Object } data
+         * @return { Object } error messages keyed by path
+         * @private
+         */
+        _validateDoc(data) {
+          const errors = this._getSchema()?.validate(data) || {};
+
+          Object.entries(errors).forEach(([path, message]) => this._onValidationError(path, message));
+
+          return errors;
         },
         _onValidationSuccess(path) {
+          // Clear the errors of the path and of anything nested under it
+          Object.keys(this._errors)
+            .filter((key) => key === path || key.startsWith(`${path}.`))
+            .forEach((key) => delete this._errors[key]);
+
           return this._runHandler('onValidationSuccess', this.$id, path);
         },
         _onValidationError(path, message) {
+          this._errors[path] = message;
+          recordEvent(this.$id, 'validation error', { path, message }, 'warning');
           return this._runHandler('onValidationError', this.$id, path, message);
         },
+        _onSyncError(error, details) {
+          // Errors rethrown through several actions, e.g. a failed write in $batch, are only reported once
+          if (reportedSyncErrors.has(error)) return;
+
+          if (error instanceof Object) reportedSyncErrors.add(error);
+
+          logger.error(`${details.action} failed`, error.message);
+          recordEvent(this.$id, 'sync error', { ...details, error: error.message }, 'error');
+          return this._runHandler('onSyncError', this.$id, error, details);
+        },
+        _onBindError(name, error) {
+          recordEvent(this.$id, 'listener error', { binding: name, error: error.message }, 'error');
+        },
         _appendToCreated() {
           return this._runHandler('appendToCreated');
         },
@@ -469,6 +1891,190 @@ export default function defineFirebaseStore(options) {
           return handler?.(...args);
         },
 
+        /**
+         * Bind a document or query to a state key. The key is added to the state if it doesn't exist yet
+         * and binding a name that is already bound replaces its listener
+         * @param { String } name - the state key, also used to unbind the listener
+         * @param { DocumentReference | Query } ref
+         * @param { Object } [options] - bind options, the store's converter and resolveRefs are used by default
+         * @return { Promise } resolves with the data from the first snapshot
+         */
+        async $bind(name, ref, options = {}) {
+          if (!(name in this.$state)) {
+            this.$state[name] = (ref.type === 'document') ? {} : [];
+            this[name] = toRef(this.$state, name);
+          }
+
+          return bind(this, name, ref, {
+            converter: this._getConverter(),
+            resolveRefs: this._getResolveRefs(),
+            gracePeriod: this._getGracePeriod(),
+            onError: (error) => this._onBindError(name, error),
+            ...options,
+            name,
+            afterUpdate: (data, snapshot) => {
+              recordSnapshot(this.$id, name, snapshot);
+              options.afterUpdate?.(data, snapshot);
+            },
+          });
+        },
+
+        /**
+         * Stop the listener bound with the given name
+         * @param { String } name
+         */
+        $unbind(name) {
+          unbind(this, name);
+        },
+
+        /**
+         * Stop every listener of the store, including its document, collection pages and subcollections
+         */
+        $unbindAll() {
+          this._unbindSubcollections();
+          this._stopAutoSync();
+          unbindAll(this);
+          // The collection pages are no longer bound
+          this._unbindPages?.();
+          this._releaseAggregations?.();
+        },
+
+        /**
+         * List the active listeners of the store
+         * @return { Array }
+         */
+        $getBindings() {
+          return getBindings(this);
+        },
+
+        /**
+         * Read the document and collection fetched in 'once' mode again. Paginated collections are read again
+         * from the first page. Realtime data is already up to date so it isn't read again
+         * @return { Promise }
+         */
+        async $refresh() {
+          if (this._getPersistence()) return;
+
+          const reads = [];
+          const pages = getPages(this);
+
+          this.isFetching = true;
+
+          try {
+            if (this._mode.doc === 'once' && this.doc?.__id && this._bind) {
+              reads.push(this._bind(await this.$getRef(this.doc.__id), { once: true }));
+            }
+
+            if (this._mode.collection === 'once' && pages.length) {
+              // The collection is replaced by the new read, rather than cleared first. The loaded pages are kept
+              // if the read fails, so that $loadMore carries on from them
+              const loadedPages = pages.splice(0);
+              const read = async() => this._bindPage(null, { once: true });
+
+              reads.push(read().finally(() => {
+                if (!pages.length) pages.push(...loadedPages);
+              }));
+            }
+
+            await Promise.all(reads);
+          } finally {
+            this.isFetching = false;
+          }
+        },
+
+        /**
+         * Commit writes as a single batch. Write actions of this or any other store using the same Firestore
+         * instance are added to the batch by passing it as their `tx` option, e.g.
+         * `$batch((tx) => store.$updateDoc(id, 'title', 'New', { tx }))`.
+         * Local state is only updated once the batch has been committed
+         * @param { Function } fn - called with the WriteBatch
+         * @return { Promise } resolves with the callback's return value
+         */
+        async $batch(fn) {
+          try {
+            return await runBatch(this._getDb(), fn);
+          } catch(e) {
+            this._onSyncError(e, { action: 'batch' });
+            throw e;
+          }
+        },
+
+        /**
+         * Run the callback in a transaction. Write actions are added to it by passing the Transaction as their
+         * `tx` option, like in $batch. Reads must be made with the Transaction, and the callback is retried if the
+         * documents change
+         * @param { Function } fn - called with the Transaction
+         * @return { Promise } resolves with the callback's return value
+         */
+        async $transaction(fn) {
+          try {
+            return await runInTransaction(this._getDb(), fn);
+          } catch(e) {
+            this._onSyncError(e, { action: 'transaction' });
+            throw e;
+          }
+        },
+
+        /**
+         * Bind the subcollections of the given document
+         * @param { String } docPath
+         * @param { Object } [options]
+         * @param { Boolean } [options.once] - read the subcollections once, like the document, instead of using
+         * their own mode
+         * @private
+         */
+        async _bindSubcollections(docPath, { once = false } = {}) {
+          const subcollectionQueries = Object.values(subcollectionStores).map((useSubcollection) => {
+            const subcollection = useSubcollection(this._pinia);
+            subcollection.$setCollectionPath(docPath);
+            return subcollection.$query(once ? { mode: 'once' } : {});
+          });
+
+          return Promise.all(subcollectionQueries);
+        },
+
+        _unbindSubcollections() {
+          Object.values(subcollectionStores).forEach((useSubcollection) => useSubcollection(this._pinia).$resetPagination());
+        },
+
+        /**
+         * Set values for the collection path template, e.g. { orgId, projectId } for
+         * `orgs/{orgId}/projects/{projectId}/tasks`. Listeners on the previous path are stopped and the
+         * bound query and document are bound again on the new path once every value is known
+         * @param { Object } params
+         * @return { Promise<Boolean> } false if the params are invalid
+         */
+        async $setParams(params) {
+          const invalidParams = Object.keys(params).filter((key) => {
+            const value = params[key];
+            return !['string', 'number'].includes(typeof value) || value === '' || String(value).includes('/');
+          });
+
+          if (invalidParams.length) {
+            logger.error('Invalid collection path params', invalidParams.join(', '));
+            return false;
+          }
+
+          const previousPath = this._collectionPath;
+
+          this._params = { ...this._params, ...params };
+          this._resolveCollectionPath();
+
+          if (this._collectionPath === previousPath) return true;
+
+          if (previousPath) {
+            this._deferCurrentBindings();
+            this.$unbindAll();
+            this.collection = [];
+          }
+
+          if (this._collectionPath) {
+            await this._runDeferredBindings();
+          }
+
+          return true;
+        },
+
         /**
          * Handle subcollections by setting the collection path
          * @param path
@@ -482,37 +2088,39 @@ export default function defineFirebaseStore(options) {
           this._collectionPath = [path, collectionName].join('/');
         },
       },
-      getters,
+      getters: {
+        ...createGetters(),
+        ...docGetters,
+        ...collectionGetters,
+        ...getters,
+      },
     });
 
-    const store = useStore();
+    const store = useStore(pinia);
 
-    if (!getFirestore()) {
-      return logger.error('Firestore not found. Did you initialize the plugin by calling pinia.use({ db: yourFirestoreInstance })?');
+    if (!store._getDb()) {
+      return logger.error('Firestore not found. Did you initialize the plugin by calling pinia.use(piniafirePlugin({ db: yourFirestoreInstance }))?');
     }
 
-    if (!store.isInitialized && store._initializedState !== INITIALIZING) {
-      if (isClient) {
-        store._initializedState = INITIALIZING;
-      }
+    if (isPathTemplate(collectionName) && store._authUid === undefined) {
+      store._resolveCollectionPath();
+    }
 
-      const onInitialized = () => {
-        if (!isClient) return;
-        store._initializedState = INITIALIZED;
-        store.isInitialized = true;
-      };
+    if ((persistenceAdapter || usesAuth) && isClient) {
+      store._watchAuth();
+    }
 
-      const returnVal = initialize?.call(store);
+    store._startAutoSync();
 
-      if (returnVal instanceof Promise) {
-        returnVal.then(onInitialized);
-      } else {
-        onInitialized();
-      }
-    }
+    store._initialize();
 
     return new Proxy(store, {
       get: (target, prop) => {
+        // Resolved on access so that they belong to the same pinia as this store
+        if (has(subcollectionStores, [prop])) {
+          return subcollectionStores[prop](store._pinia);
+        }
+
         if (store.doc[prop]) {
           return store.doc[prop];
         }
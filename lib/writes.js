@@ -0,0 +1,120 @@
+import {
+  addDoc, deleteDoc, doc, runTransaction, setDoc, updateDoc, writeBatch,
+} from 'firebase/firestore';
+
+// The batches and transactions collecting writes, keyed by the WriteBatch or Transaction passed to their callbacks
+const contexts = new WeakMap();
+
+function createContext(db, writer) {
+  const commitCallbacks = [];
+  const context = {
+    db,
+    writer,
+    onCommit(cb) {
+      commitCallbacks.push(cb);
+    },
+    commit() {
+      commitCallbacks.forEach((cb) => cb());
+    },
+  };
+
+  contexts.set(writer, context);
+
+  return context;
+}
+
+/**
+ * The batch or transaction to collect a store's writes into
+ * @param { WriteBatch | Transaction } [tx] - the `tx` option of a write action
+ * @param { Firestore } db - the Firestore instance of the store
+ * @return { Object | null }
+ */
+export function getWriteContext(tx, db) {
+  if (!tx) return null;
+
+  const context = contexts.get(tx);
+
+  if (!context) {
+    throw new Error('[piniafire] tx must be the WriteBatch or Transaction passed to a $batch or $transaction callback');
+  }
+
+  if (context.db !== db) {
+    throw new Error('[piniafire] Can not write to a different Firestore instance in a batch or transaction');
+  }
+
+  return context;
+}
+
+/**
+ * Collect the writes made in the callback into a single write batch and commit it
+ * @param { Firestore } db
+ * @param { Function } fn - called with the WriteBatch
+ * @return { Promise } resolves with the return value of the callback once the batch is committed
+ */
+export async function runBatch(db, fn) {
+  const context = createContext(db, writeBatch(db));
+  const result = await fn(context.writer);
+
+  await context.writer.commit();
+  context.commit();
+
+  return result;
+}
+
+/**
+ * Collect the writes made in the callback into a transaction
+ * @param { Firestore } db
+ * @param { Function } fn - called with the Transaction, may be called more than once if the transaction is retried
+ * @return { Promise } resolves with the return value of the callback once the transaction is committed
+ */
+export async function runInTransaction(db, fn) {
+  let context;
+
+  const result = await runTransaction(db, (transaction) => {
+    // Each attempt collects its own writes
+    context = createContext(db, transaction);
+    return fn(transaction);
+  });
+
+  context.commit();
+
+  return result;
+}
+
+export async function setDocument(ref, data, context) {
+  if (context) {
+    context.writer.set(ref, data);
+    return;
+  }
+
+  return setDoc(ref, data);
+}
+
+export async function addDocument(collectionRef, data, context) {
+  if (context) {
+    // Generate the id up front so that the ref can be returned before the batch is committed
+    const ref = doc(collectionRef);
+    context.writer.set(ref, data);
+    return ref;
+  }
+
+  return addDoc(collectionRef, data);
+}
+
+export async function updateDocument(ref, data, context) {
+  if (context) {
+    context.writer.update(ref, data);
+    return;
+  }
+
+  return updateDoc(ref, data);
+}
+
+export async function deleteDocument(ref, context) {
+  if (context) {
+    context.writer.delete(ref);
+    return;
+  }
+
+  return deleteDoc(ref);
+}
@@ -0,0 +1,32 @@
+import { isEqual, isPlainObject } from 'lodash-es';
+
+/**
+ * List the paths that differ between two versions of a document. Arrays are compared as a whole,
+ * piniafire metadata (keys starting with __) is ignored and resolved references are compared by path
+ * @param { Object } previous
+ * @param { Object } current
+ * @param { String } [prefix]
+ * @return { Array }
+ */
+export function getChangedPaths(previous = {}, current = {}, prefix = '') {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  return [...keys].flatMap((key) => {
+    if (key.startsWith('__')) return [];
+
+    const path = prefix + key;
+    const previousValue = previous[key];
+    const currentValue = current[key];
+
+    // Resolved references are kept up to date by their own listeners
+    if (previousValue?.__path || currentValue?.__path) {
+      return (previousValue?.__path === currentValue?.__path) ? [] : [path];
+    }
+
+    if (isPlainObject(previousValue) && isPlainObject(currentValue)) {
+      return getChangedPaths(previousValue, currentValue, `${path}.`);
+    }
+
+    return isEqual(previousValue, currentValue) ? [] : [path];
+  });
+}
@@ -0,0 +1,33 @@
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Whether a path has {placeholders}, e.g. `users/{uid}/settings`
+ * @param { String } path
+ * @return { Boolean }
+ */
+export function isPathTemplate(path) {
+  return typeof path === 'string' && /\{\w+\}/.test(path);
+}
+
+/**
+ * Fill in the {placeholders} of a path template
+ * @param { String } template
+ * @param { Object } [params]
+ * @return { String | null } the path, or null if any placeholder doesn't have a value
+ */
+export function resolvePath(template, params = {}) {
+  let isResolved = true;
+
+  const path = template.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = params[name];
+
+    if (value === undefined || value === null || value === '') {
+      isResolved = false;
+      return placeholder;
+    }
+
+    return value;
+  });
+
+  return isResolved ? path : null;
+}